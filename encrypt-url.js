@@ -1,74 +1,40 @@
 #!/usr/bin/env node
 
-import crypto from 'crypto';
 import dotenv from 'dotenv';
+import { keyringFromEnv, encryptLink, decryptLink, parseDuration } from './lib/links.js';
+import { tenantsFromEnv, tenantIdOfLink } from './lib/tenants.js';
 
 // Load environment variables
 dotenv.config();
 
-function encryptUrl(url) {
+// Keys of a tenant from TENANTS_FILE, or the global keys. The CLI can always
+// read legacy links so they can be inspected and re-issued.
+function getKeyring(tenantId) {
+  if (!tenantId) {
+    return { ...keyringFromEnv(), allowLegacy: true };
+  }
+
+  const tenant = tenantsFromEnv().find(candidate => candidate.id === tenantId);
+  if (!tenant) {
+    console.error(`Error: Unknown tenant "${tenantId}"${process.env.TENANTS_FILE ? ` in ${process.env.TENANTS_FILE}` : ' (TENANTS_FILE is not set)'}`);
+    process.exit(1);
+  }
+  return { ...tenant.keyring, allowLegacy: true };
+}
+
+function encryptUrl(url, expiresAt = null) {
   try {
-    const secret = process.env.APP_SECRET;
-    if (!secret) {
-      throw new Error('APP_SECRET not configured in .env file');
-    }
-    
-    // Generate random IV (16 bytes for AES-128-CTR)
-    const iv = crypto.randomBytes(16);
-    
-    // Create cipher with CTR mode
-    const cipher = crypto.createCipheriv('aes-128-ctr', Buffer.from(secret.slice(0, 16), 'utf8'), iv);
-    
-    // Encrypt the URL
-    let encrypted = cipher.update(url, 'utf8');
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
-    
-    // Combine IV and encrypted data
-    const combined = Buffer.concat([iv, encrypted]);
-    
-    // Base64 encode with URL-safe characters and remove padding
-    return combined.toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=/g, '');
+    return encryptLink(url, getKeyring(tenantOption), { expiresAt });
   } catch (error) {
     console.error('Encryption failed:', error.message);
     process.exit(1);
   }
 }
 
+// Tenant links name their tenant, so decrypting doesn't need --tenant
 function decryptUrl(encryptedHash) {
   try {
-    const secret = process.env.APP_SECRET;
-    if (!secret) {
-      throw new Error('APP_SECRET not configured in .env file');
-    }
-    
-    // Restore URL-safe base64 to standard base64 and add padding if needed
-    let base64 = encryptedHash
-      .replace(/-/g, '+')
-      .replace(/_/g, '/');
-    
-    // Add padding if needed
-    while (base64.length % 4) {
-      base64 += '=';
-    }
-    
-    // Base64 decode the hash
-    const encryptedBuffer = Buffer.from(base64, 'base64');
-    
-    // Extract IV (16 bytes) and encrypted data
-    const iv = encryptedBuffer.subarray(0, 16);
-    const encrypted = encryptedBuffer.subarray(16);
-    
-    // Create decipher with CTR mode
-    const decipher = crypto.createDecipheriv('aes-128-ctr', Buffer.from(secret.slice(0, 16), 'utf8'), iv);
-    
-    // Decrypt
-    let decrypted = decipher.update(encrypted, null, 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+    return decryptLink(encryptedHash, getKeyring(tenantOption || tenantIdOfLink(encryptedHash)));
   } catch (error) {
     console.error('Decryption failed:', error.message);
     process.exit(1);
@@ -77,23 +43,39 @@ function decryptUrl(encryptedHash) {
 
 function showUsage() {
   console.log(`
-Usage: node encrypt-url.js [command] [url]
+Usage: node encrypt-url.js [command] [url] [options]
 
 Commands:
   encrypt <url>    Encrypt a URL and return the hash
   decrypt <hash>   Decrypt a hash and return the original URL
   test <url>       Encrypt then decrypt to test round-trip
 
+Options:
+  --expires <duration>   Make the link expire, e.g. 3600, 90m, 12h or 30d
+  --tenant <id>          Use the keys of a tenant from TENANTS_FILE
+
 Examples:
   node encrypt-url.js encrypt "https://example.com/report.json"
-  node encrypt-url.js decrypt "base64-encoded-hash"
+  node encrypt-url.js encrypt "https://example.com/report.json" --expires 30d
+  node encrypt-url.js encrypt "s3://team-a-reports/report.json" --tenant team-a
+  node encrypt-url.js decrypt "2~encoded-hash"
   node encrypt-url.js test "https://example.com/report.json"
+
+New links use the first key in APP_SECRETS ("id:secret,id:secret"), or APP_SECRET,
+of the tenant with --tenant.
 `);
 }
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 
+const tenantIndex = args.indexOf('--tenant');
+const tenantOption = tenantIndex !== -1 ? args[tenantIndex + 1] : null;
+if (tenantIndex !== -1 && !tenantOption) {
+  console.error('Error: --tenant requires a tenant ID');
+  process.exit(1);
+}
+
 if (args.length === 0) {
   showUsage();
   process.exit(1);
@@ -102,6 +84,25 @@ if (args.length === 0) {
 const command = args[0];
 const input = args[1];
 
+let expiresAt = null;
+const expiresIndex = args.indexOf('--expires');
+if (expiresIndex !== -1) {
+  try {
+    expiresAt = new Date(Date.now() + parseDuration(args[expiresIndex + 1]));
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+function describeLink(link) {
+  console.log(`Format: ${link.legacy ? 'legacy AES-128-CTR (unauthenticated)' : `v2 AES-256-GCM, key "${link.keyId}"`}`);
+  if (link.keyId?.includes('/')) {
+    console.log(`Tenant: ${link.keyId.slice(0, link.keyId.indexOf('/'))}`);
+  }
+  console.log(`Expires: ${link.expiresAt ? link.expiresAt.toISOString() : 'never'}`);
+}
+
 switch (command) {
   case 'encrypt':
     if (!input) {
@@ -109,11 +110,12 @@ switch (command) {
       showUsage();
       process.exit(1);
     }
-    const hash = encryptUrl(input);
+    const hash = encryptUrl(input, expiresAt);
     console.log('\n✅ Encryption successful!');
     console.log(`Original URL: ${input}`);
     console.log(`Encrypted hash: ${hash}`);
     console.log(`Hash length: ${hash.length} characters`);
+    console.log(`Expires: ${expiresAt ? expiresAt.toISOString() : 'never'}`);
     console.log(`\nTest URL: http://localhost:3000/report/${hash}`);
     break;
     
@@ -123,10 +125,11 @@ switch (command) {
       showUsage();
       process.exit(1);
     }
-    const url = decryptUrl(input);
+    const link = decryptUrl(input);
     console.log('\n✅ Decryption successful!');
     console.log(`Encrypted hash: ${input}`);
-    console.log(`Original URL: ${url}`);
+    console.log(`Original URL: ${link.url}`);
+    describeLink(link);
     break;
     
   case 'test':
@@ -136,8 +139,8 @@ switch (command) {
       process.exit(1);
     }
     console.log('\n🔄 Testing round-trip encryption...');
-    const testHash = encryptUrl(input);
-    const testUrl = decryptUrl(testHash);
+    const testHash = encryptUrl(input, expiresAt);
+    const testUrl = decryptUrl(testHash).url;
     
     console.log(`Original URL: ${input} (${input.length} chars)`);
     console.log(`Encrypted hash: ${testHash} (${testHash.length} chars)`);
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getLighthouseVersion, getReportFilename } from './lib/lhr.js';
+import { createRenderer } from './lib/renderer.js';
+import { createReportLoader } from './lib/loader.js';
+import { configFromEnv } from './lib/config.js';
+import { REPORT_FILE_PATTERN } from './lib/local-reports.js';
+
+// Load environment variables
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const config = configFromEnv(process.env, { rootDir: __dirname });
+
+// Same version resolution as the server: VERSION_POLICY, AUTO_INSTALL and LIGHTHOUSE_MIRROR_DIR apply
+const renderer = createRenderer(config);
+
+// Same sources, link keys and size limit as the server; every report is fetched once, so no cache
+const loader = createReportLoader({ keyring: config.keyring, sources: config.sources, maxBytes: config.reportMaxBytes, cache: null });
+
+function showUsage() {
+  console.log(`
+Usage: node export-report.js <report> [options]
+       node export-report.js --dir <directory> [options]
+
+Writes a self-contained HTML file with every asset of the report's Lighthouse
+version inlined, to attach to tickets or archive.
+
+Arguments:
+  <report>               A local file (.json, .json.gz, .json.br), a report URL or an encrypted hash
+
+Options:
+  --output, -o <path>    Output file, or output directory with --dir (default: current directory)
+  --dir <directory>      Export every .json, .json.gz and .json.br report in a directory
+
+Examples:
+  node export-report.js report.json
+  node export-report.js "https://example.com/report.json.gz" -o example.html
+  node export-report.js "2~encoded-hash"
+  node export-report.js --dir ./reports -o ./exports
+`);
+}
+
+// Without an output path the file is named after the report's site and fetch time
+async function exportReport(input, outputPath = null) {
+  const report = await loader.loadReport(input);
+  const version = getLighthouseVersion(report);
+  outputPath = outputPath || getReportFilename(report, 'html');
+
+  if (!renderer.isVersionInstalled(version) && renderer.autoInstall) {
+    console.log(`📦 Installing Lighthouse v${version}...`);
+  }
+  const resolved = await renderer.ensureVersionInstalled(version);
+  const html = await renderer.renderReport(report, resolved, 'html', { standalone: true });
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, html);
+
+  const renderedWith = resolved.version === version ? '' : ` (rendered with v${resolved.version})`;
+  console.log(`✅ ${input} -> ${outputPath} (Lighthouse v${version}${renderedWith}, ${Math.round(html.length / 1024)} KB)`);
+}
+
+// Reports that fail validation list what is wrong with them, see lib/lhr.js
+function logProblems(error) {
+  for (const { path: field, message } of error.problems || []) {
+    console.error(`   ${field} ${message}`);
+  }
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function optionValue(...names) {
+  const index = args.findIndex(arg => names.includes(arg));
+  if (index === -1) {
+    return null;
+  }
+  const value = args[index + 1];
+  args.splice(index, 2);
+  return value;
+}
+
+const outputOption = optionValue('--output', '-o');
+const dirOption = optionValue('--dir');
+
+if (dirOption) {
+  const files = fs.readdirSync(dirOption).filter(file => REPORT_FILE_PATTERN.test(file)).sort();
+  const outputDir = outputOption || '.';
+
+  if (files.length === 0) {
+    console.error(`❌ No reports found in ${dirOption}`);
+    process.exit(1);
+  }
+
+  console.log(`🚀 Exporting ${files.length} reports from ${dirOption} to ${outputDir}\n`);
+
+  let failed = 0;
+  const usedNames = new Set();
+  for (const file of files) {
+    // report.json and report.json.gz would both become report.html
+    const baseName = file.replace(REPORT_FILE_PATTERN, '');
+    let name = baseName;
+    for (let counter = 2; usedNames.has(name); counter++) {
+      name = `${baseName}-${counter}`;
+    }
+    usedNames.add(name);
+
+    try {
+      await exportReport(path.join(dirOption, file), path.join(outputDir, `${name}.html`));
+    } catch (error) {
+      console.error(`❌ ${file}: ${error.message}`);
+      logProblems(error);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Summary: ${files.length - failed}/${files.length} reports exported successfully`);
+  process.exit(failed > 0 ? 1 : 0);
+} else if (args.length === 1) {
+  try {
+    await exportReport(args[0], outputOption);
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Export failed: ${error.message}`);
+    logProblems(error);
+    process.exit(1);
+  }
+} else {
+  showUsage();
+  process.exit(1);
+}
@@ -0,0 +1,66 @@
+// Library entry point: render, resolve and load reports without running the
+// server, or embed the server in another Express app. Nothing here reads
+// process.env; use configFromEnv() to get the server's environment settings.
+
+import { assertLighthouseReport, getLighthouseVersion } from './lib/lhr.js';
+import { REPORT_FORMATS, createRenderer } from './lib/renderer.js';
+import { createReportLoader } from './lib/loader.js';
+
+export { createServer } from './lib/server.js';
+export { configFromEnv } from './lib/config.js';
+export { createKeyring, encryptLink, decryptLink } from './lib/links.js';
+export { createSourceRegistry, sourcesFromEnv } from './lib/sources/index.js';
+export { createUrlPolicy } from './lib/url-policy.js';
+export { VERSION_POLICIES } from './lib/versions.js';
+export { parseBudget, checkBudget, renderBudgetJUnit } from './lib/budget.js';
+export { REPORT_FORMATS };
+
+// Renderers are cached per configuration, so repeated calls share installs
+const renderers = new Map();
+
+function getRenderer({ rootDir, versionPolicy = 'minor', autoInstall = true, mirrorDir = null, workers = {}, outputCache = {} }) {
+  const key = JSON.stringify([rootDir, versionPolicy, autoInstall, mirrorDir, workers, outputCache]);
+  if (!renderers.has(key)) {
+    renderers.set(key, createRenderer({ rootDir, versionPolicy, autoInstall, mirrorDir, workers, outputCache }));
+  }
+  return renderers.get(key);
+}
+
+// The ReportGenerator to render a version's reports with, installing it first if needed.
+// Resolves to { ReportGenerator, packageName, version }; version is the one actually used.
+export async function resolveGenerator(version, options = {}) {
+  const renderer = getRenderer(options);
+  const resolved = await renderer.ensureVersionInstalled(version);
+  const ReportGenerator = await renderer.getReportGenerator(resolved.packageName);
+  return { ReportGenerator, ...resolved };
+}
+
+// Render a parsed report with the Lighthouse version that generated it.
+// format: html, json or csv. With { standalone: true } HTML embeds its assets,
+// otherwise they are referenced below assetBaseUrl (see the server's /assets route).
+// Resolves to { output, contentType, reportVersion, rendererVersion }.
+export async function renderReport(report, { format = 'html', standalone = false, assetBaseUrl, ...options } = {}) {
+  if (!REPORT_FORMATS[format]) {
+    throw new Error(`Unsupported format "${format}" (expected one of ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  }
+  assertLighthouseReport(report);
+
+  const renderer = getRenderer(options);
+  const reportVersion = getLighthouseVersion(report);
+  const resolved = await renderer.ensureVersionInstalled(reportVersion);
+  const output = await renderer.renderReport(report, resolved, format, { standalone, assetBaseUrl });
+
+  return {
+    output,
+    contentType: REPORT_FORMATS[format].contentType,
+    reportVersion,
+    rendererVersion: resolved.version,
+  };
+}
+
+// Load and validate a report from a file path, URL, encrypted hash, JSON string,
+// Buffer or object. Options are passed to createReportLoader (lib/loader.js):
+// keyring, sources, maxBytes and cache.
+export async function loadReport(source, options = {}) {
+  return await createReportLoader({ cache: null, ...options }).loadReport(source);
+}
@@ -1,8 +1,23 @@
 #!/usr/bin/env node
 
-import { execSync } from 'child_process';
+import { execFileSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
+import dotenv from 'dotenv';
+import { npmCommand, mirrorInstallArgs, populateMirror, readMirrorManifest } from './lib/mirror.js';
+
+// Load environment variables
+dotenv.config();
+
+// Install from a local package mirror instead of the registry when configured
+const mirrorDir = process.env.LIGHTHOUSE_MIRROR_DIR ? path.resolve(process.env.LIGHTHOUSE_MIRROR_DIR) : null;
+
+function runNpmInstall(spec) {
+  const args = ['install', spec, ...mirrorInstallArgs(mirrorDir)];
+  console.log(`Running: npm ${args.join(' ')}`);
+  
+  execFileSync(npmCommand, args, { stdio: 'inherit' });
+}
 
 function installExactVersion(version) {
   const aliasName = `lighthouse-v${version}`;
@@ -10,10 +25,7 @@ function installExactVersion(version) {
   try {
     console.log(`📦 Installing exact Lighthouse v${version} as ${aliasName}...`);
     
-    const installCommand = `npm install ${aliasName}@npm:lighthouse@${version}`;
-    console.log(`Running: ${installCommand}`);
-    
-    execSync(installCommand, { stdio: 'inherit' });
+    runNpmInstall(`${aliasName}@npm:lighthouse@${version}`);
     
     console.log(`✅ Successfully installed Lighthouse v${version}`);
     return true;
@@ -30,10 +42,7 @@ function installMajorVersion(majorVersion) {
   try {
     console.log(`📦 Installing Lighthouse v${majorVersion}.x as ${aliasName}...`);
     
-    const installCommand = `npm install ${aliasName}@npm:lighthouse@${majorVersion}`;
-    console.log(`Running: ${installCommand}`);
-    
-    execSync(installCommand, { stdio: 'inherit' });
+    runNpmInstall(`${aliasName}@npm:lighthouse@${majorVersion}`);
     
     console.log(`✅ Successfully installed Lighthouse v${majorVersion}.x`);
     return true;
@@ -71,6 +80,13 @@ function listInstalledVersions() {
   console.log(`  ${defaultExists ? '✅' : '❌'} default lighthouse package`);
 }
 
+// Shown even before anything is installed, when the mirror is all an offline host has
+function listMirrorVersions() {
+  const manifest = readMirrorManifest(mirrorDir);
+  console.log(`\nVersions in mirror ${mirrorDir}:`);
+  console.log(manifest.versions.length > 0 ? `  ${manifest.versions.join(', ')}` : '  None');
+}
+
 function installCommonVersions() {
   console.log('🚀 Installing common Lighthouse major versions...\n');
   
@@ -96,8 +112,34 @@ if (args.length === 0) {
   console.log('  node install-versions.js 12 10            # Install major versions');
   console.log('  node install-versions.js --common         # Install common major versions');
   console.log('  node install-versions.js --list           # List installed versions');
+  console.log('  node install-versions.js --populate-mirror 12.6.1 10   # Download versions into LIGHTHOUSE_MIRROR_DIR');
+  console.log('');
+  console.log('With LIGHTHOUSE_MIRROR_DIR set, installs use that mirror and never touch the network.');
+} else if (args[0] === '--populate-mirror') {
+  const versions = args.slice(1);
+  
+  if (!mirrorDir) {
+    console.error('❌ Set LIGHTHOUSE_MIRROR_DIR to the mirror directory to populate');
+    process.exit(1);
+  }
+  if (versions.length === 0) {
+    console.error('❌ List the versions to add to the mirror, e.g. --populate-mirror 12.6.1 10');
+    process.exit(1);
+  }
+  
+  console.log(`🚀 Populating mirror ${mirrorDir} with: ${versions.join(', ')}\n`);
+  const failed = populateMirror(mirrorDir, versions);
+  
+  console.log(`\n📊 Summary: ${versions.length - failed.length}/${versions.length} versions mirrored successfully`);
+  console.log(`Copy ${mirrorDir} to the offline hosts and point LIGHTHOUSE_MIRROR_DIR at it.`);
+  if (failed.length > 0) {
+    process.exit(1);
+  }
 } else if (args[0] === '--list') {
   listInstalledVersions();
+  if (mirrorDir) {
+    listMirrorVersions();
+  }
 } else if (args[0] === '--common') {
   installCommonVersions();
 } else {
@@ -0,0 +1,309 @@
+// Admin API and page for the installed Lighthouse versions: list them with disk
+// usage and last use, install, uninstall and prune unused ones, and follow the
+// installer's jobs. Every API call needs `Authorization: Bearer <ADMIN_TOKEN>`;
+// without a token the whole admin area is disabled.
+//
+//   GET    /admin                          the admin page, which asks for the token
+//   GET    /admin/api/versions             installed aliases and installer jobs
+//   POST   /admin/api/versions/:version    install a version ("12.2.0", or "12" for the latest 12.x)
+//   DELETE /admin/api/versions/:version    uninstall a version
+//   POST   /admin/api/prune?days=N         uninstall versions unused for N days (&dryRun=true to preview)
+//   GET    /admin/api/jobs                 queued, running, finished and failed jobs
+//   DELETE /admin/api/jobs                 forget finished and failed jobs
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ALIAS_PATTERN, isValidAlias, listInstalledVersions } from './versions.js';
+import { renderPage } from './html.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Compare digests so the comparison takes the same time for any token
+function tokenMatches(given, expected) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(given), digest(expected));
+}
+
+async function diskUsage(dir) {
+  let total = 0;
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    total += entry.isDirectory() ? await diskUsage(entryPath) : (await fs.promises.lstat(entryPath)).size;
+  }
+  return total;
+}
+
+export function createAdminRouter({ token = null, renderer }) {
+  const router = express.Router();
+
+  if (!token) {
+    router.use((req, res) => {
+      res.status(404).send('The admin area is disabled. Set ADMIN_TOKEN to enable it.');
+    });
+    return router;
+  }
+
+  if (token.length < 16) {
+    throw new Error('ADMIN_TOKEN must be at least 16 characters long');
+  }
+
+  const { installer, usage, nodeModulesDir } = renderer;
+
+  // Installed lighthouse-v* aliases. Sizes only count the package itself:
+  // dependencies are shared between the aliases and not attributed to any of them.
+  async function listVersions() {
+    const aliases = listInstalledVersions(nodeModulesDir).filter(({ packageName }) => packageName.startsWith('lighthouse-v'));
+
+    const versions = await Promise.all(aliases.map(async ({ packageName, version }) => {
+      const packageDir = path.join(nodeModulesDir, packageName);
+      return {
+        alias: packageName.slice('lighthouse-v'.length),
+        packageName,
+        version,
+        sizeBytes: await diskUsage(packageDir),
+        installedAt: (await fs.promises.stat(packageDir)).ctime,
+        lastUsedAt: usage.get(packageName),
+      };
+    }));
+
+    return versions.sort((a, b) => a.alias.localeCompare(b.alias, 'en', { numeric: true }));
+  }
+
+  function uninstall(alias) {
+    const job = installer.uninstall(alias);
+    job.promise.then(removed => {
+      if (removed) {
+        usage.forget(job.aliasName);
+      }
+    });
+    return job;
+  }
+
+  function jobStatus(job) {
+    return installer.list().find(status => status.action === job.action && status.version === job.version);
+  }
+
+  router.get('/', (req, res) => {
+    res.send(renderAdminPage());
+  });
+
+  router.use('/api', (req, res, next) => {
+    const match = (req.get('authorization') || '').match(/^Bearer (.+)$/);
+    if (!match || !tokenMatches(match[1], token)) {
+      console.warn(`🚫 Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}`);
+      res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Invalid or missing admin token' });
+      return;
+    }
+    next();
+  });
+
+  router.get('/api/versions', async (req, res) => {
+    try {
+      res.json({ versions: await listVersions(), jobs: installer.list() });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/api/versions/:version', (req, res) => {
+    const { version } = req.params;
+    if (!isValidAlias(version)) {
+      res.status(400).json({ error: 'Invalid version' });
+      return;
+    }
+
+    console.log(`Admin: installing Lighthouse v${version}`);
+    res.status(202).json(jobStatus(installer.install(version)));
+  });
+
+  router.delete('/api/versions/:version', (req, res) => {
+    const { version } = req.params;
+    if (!isValidAlias(version) || !fs.existsSync(path.join(nodeModulesDir, `lighthouse-v${version}`))) {
+      res.status(404).json({ error: 'Version is not installed' });
+      return;
+    }
+
+    console.log(`Admin: uninstalling lighthouse-v${version}`);
+    res.status(202).json(jobStatus(uninstall(version)));
+  });
+
+  router.post('/api/prune', async (req, res) => {
+    const days = Number(req.query.days);
+    if (!Number.isFinite(days) || days <= 0) {
+      res.status(400).json({ error: 'days must be a positive number' });
+      return;
+    }
+
+    try {
+      const cutoff = Date.now() - days * DAY_MS;
+      const busy = new Set(installer.list().filter(job => job.state !== 'done' && job.state !== 'failed').map(job => job.version));
+
+      // Versions never used since the usage log was introduced count from their install
+      const unused = (await listVersions())
+        .filter(entry => !busy.has(entry.alias) && (entry.lastUsedAt || entry.installedAt).getTime() < cutoff);
+
+      const dryRun = req.query.dryRun === 'true';
+      if (!dryRun) {
+        console.log(`Admin: pruning ${unused.length} versions unused for ${days} days`);
+        unused.forEach(entry => uninstall(entry.alias));
+      }
+
+      res.status(dryRun ? 200 : 202).json({ days, dryRun, versions: unused });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/api/jobs', (req, res) => {
+    res.json(installer.list());
+  });
+
+  router.delete('/api/jobs', (req, res) => {
+    installer.clear();
+    res.json(installer.list());
+  });
+
+  return router;
+}
+
+// The page is static; it keeps the token in sessionStorage and calls the API with it
+function renderAdminPage() {
+  return renderPage('Lighthouse versions', `
+    <h1>Lighthouse versions</h1>
+    <form id="login" class="card">
+      <label>Admin token <input id="token" type="password" autocomplete="current-password" required></label>
+      <button>Sign in</button>
+      <p id="login-error" class="score-fail"></p>
+    </form>
+    <div id="admin" hidden>
+      <div class="card">
+        <table>
+          <thead><tr><th>Alias</th><th>Version</th><th class="num">Size</th><th>Installed</th><th>Last used</th><th></th></tr></thead>
+          <tbody id="versions"></tbody>
+        </table>
+      </div>
+      <div class="card actions">
+        <form id="install"><input name="version" placeholder="12.2.0" pattern="${ALIAS_PATTERN.source.slice(1, -1)}" required> <button>Install</button></form>
+        <form id="prune"><input name="days" type="number" min="1" value="30" required> days unused <button name="dryRun" value="true">Preview</button> <button>Prune</button></form>
+        <p id="message" class="muted"></p>
+      </div>
+      <h2>Jobs <button id="clear-jobs">Clear finished</button></h2>
+      <div class="card">
+        <table>
+          <thead><tr><th>Action</th><th>Version</th><th>State</th><th>Queued</th><th>Details</th></tr></thead>
+          <tbody id="jobs"></tbody>
+        </table>
+      </div>
+    </div>
+    <script>
+      const escapeHtml = value => String(value ?? '').replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');
+      const formatDate = value => value ? new Date(value).toLocaleString() : 'never';
+      const formatSize = bytes => (bytes / 1024 / 1024).toFixed(1) + ' MB';
+      let refreshTimer = null;
+
+      async function api(method, url) {
+        const response = await fetch('/admin/api' + url, {
+          method,
+          headers: { Authorization: 'Bearer ' + sessionStorage.getItem('adminToken') },
+        });
+        const body = await response.json();
+        if (response.status === 401) {
+          sessionStorage.removeItem('adminToken');
+          showLogin(body.error);
+        }
+        if (!response.ok) {
+          throw new Error(body.error);
+        }
+        return body;
+      }
+
+      function showLogin(error) {
+        clearTimeout(refreshTimer);
+        document.getElementById('login').hidden = false;
+        document.getElementById('admin').hidden = true;
+        document.getElementById('login-error').textContent = error || '';
+      }
+
+      function showMessage(text) {
+        document.getElementById('message').textContent = text;
+      }
+
+      async function refresh() {
+        clearTimeout(refreshTimer);
+        const { versions, jobs } = await api('GET', '/versions');
+        document.getElementById('login').hidden = true;
+        document.getElementById('admin').hidden = false;
+
+        document.getElementById('versions').innerHTML = versions.map(entry => \`
+          <tr>
+            <td><span class="version">\${escapeHtml(entry.packageName)}</span></td>
+            <td>v\${escapeHtml(entry.version)}</td>
+            <td class="num">\${formatSize(entry.sizeBytes)}</td>
+            <td>\${formatDate(entry.installedAt)}</td>
+            <td>\${formatDate(entry.lastUsedAt)}</td>
+            <td><button data-uninstall="\${escapeHtml(entry.alias)}">Uninstall</button></td>
+          </tr>\`).join('') || '<tr><td colspan="6" class="muted">No versions installed</td></tr>';
+
+        document.getElementById('jobs').innerHTML = jobs.map(job => \`
+          <tr>
+            <td>\${escapeHtml(job.action)}</td>
+            <td>v\${escapeHtml(job.version)}</td>
+            <td class="\${job.state === 'failed' ? 'score-fail' : job.state === 'done' ? 'score-pass' : 'score-average'}">\${escapeHtml(job.state)}</td>
+            <td>\${formatDate(job.queuedAt)}</td>
+            <td class="muted">\${escapeHtml(job.error || job.output[job.output.length - 1] || '')}</td>
+          </tr>\`).join('') || '<tr><td colspan="5" class="muted">No jobs</td></tr>';
+
+        // Follow jobs until they are finished
+        if (jobs.some(job => job.state !== 'done' && job.state !== 'failed')) {
+          refreshTimer = setTimeout(() => refresh().catch(error => showMessage(error.message)), 2000);
+        }
+      }
+
+      document.getElementById('login').addEventListener('submit', event => {
+        event.preventDefault();
+        sessionStorage.setItem('adminToken', document.getElementById('token').value);
+        refresh().catch(error => showLogin(error.message));
+      });
+
+      document.getElementById('versions').addEventListener('click', async event => {
+        const alias = event.target.dataset.uninstall;
+        if (alias && confirm('Uninstall lighthouse-v' + alias + '?')) {
+          await api('DELETE', '/versions/' + encodeURIComponent(alias)).catch(error => showMessage(error.message));
+          refresh();
+        }
+      });
+
+      document.getElementById('install').addEventListener('submit', async event => {
+        event.preventDefault();
+        await api('POST', '/versions/' + encodeURIComponent(event.target.version.value)).catch(error => showMessage(error.message));
+        refresh();
+      });
+
+      document.getElementById('prune').addEventListener('submit', async event => {
+        event.preventDefault();
+        const dryRun = event.submitter && event.submitter.name === 'dryRun';
+        try {
+          const result = await api('POST', '/prune?days=' + encodeURIComponent(event.target.days.value) + (dryRun ? '&dryRun=true' : ''));
+          const names = result.versions.map(entry => entry.packageName).join(', ') || 'none';
+          showMessage((dryRun ? 'Would uninstall: ' : 'Uninstalling: ') + names);
+        } catch (error) {
+          showMessage(error.message);
+        }
+        refresh();
+      });
+
+      document.getElementById('clear-jobs').addEventListener('click', () => {
+        api('DELETE', '/jobs').then(refresh, error => showMessage(error.message));
+      });
+
+      if (sessionStorage.getItem('adminToken')) {
+        refresh().catch(error => showLogin(error.message));
+      }
+    </script>`, {
+    styles: `
+    .actions form { display: inline-block; margin-right: 2rem; }
+    input { padding: 0.35rem 0.5rem; }`,
+  });
+}
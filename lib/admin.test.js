@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createFakePackage, createTempDir, startServer } from '../test/helpers.js';
+
+const TOKEN = 'admin-token-for-tests';
+
+// A server whose only Lighthouse package is a stand-in lighthouse-v12.2.0
+async function startAdminServer(t) {
+  const rootDir = createTempDir(t);
+  createFakePackage(path.join(rootDir, 'node_modules'), 'lighthouse-v12.2.0', '12.2.0');
+  const { baseUrl } = await startServer(t, { rootDir, adminToken: TOKEN });
+
+  const api = (route, { method = 'GET', token = TOKEN } = {}) => fetch(`${baseUrl}/admin/api${route}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  return { baseUrl, api };
+}
+
+test('the admin area is disabled without a token and refuses short tokens', async t => {
+  const { baseUrl } = await startServer(t);
+
+  const response = await fetch(`${baseUrl}/admin/api/versions`);
+  assert.equal(response.status, 404);
+  assert.match(await response.text(), /Set ADMIN_TOKEN to enable it/);
+
+  await assert.rejects(startServer(t, { adminToken: 'too-short' }), /ADMIN_TOKEN must be at least 16 characters long/);
+});
+
+test('the admin API needs the token', async t => {
+  const { api } = await startAdminServer(t);
+
+  for (const token of [null, 'wrong-token-for-tests']) {
+    const response = await api('/versions', { token });
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+  }
+});
+
+test('the admin API lists installed versions and validates versions', async t => {
+  const { api } = await startAdminServer(t);
+
+  const { versions, jobs } = await (await api('/versions')).json();
+  assert.deepEqual(versions.map(({ alias, version }) => [alias, version]), [['12.2.0', '12.2.0']]);
+  assert.ok(versions[0].sizeBytes > 0);
+  assert.deepEqual(jobs, []);
+
+  for (const version of ['12.x', '12.2', 'latest', '12.2.0+build']) {
+    assert.equal((await api(`/versions/${version}`, { method: 'POST' })).status, 400, version);
+  }
+  assert.equal((await api('/versions/11.0.0', { method: 'DELETE' })).status, 404);
+  assert.equal((await api('/prune?days=0', { method: 'POST' })).status, 400);
+
+  const preview = await api('/prune?days=1&dryRun=true', { method: 'POST' });
+  assert.equal(preview.status, 200);
+  assert.deepEqual((await preview.json()).versions, []);
+});
+
+test('the admin page validates versions like the API, in browsers too', async t => {
+  const { baseUrl } = await startAdminServer(t);
+
+  const html = await (await fetch(`${baseUrl}/admin`)).text();
+  const [, pattern] = html.match(/name="version"[^>]* pattern="([^"]+)"/);
+
+  // Browsers match the whole value against the pattern with the v flag
+  const regexp = new RegExp(`^(?:${pattern})$`, 'v');
+  assert.ok(['12', '12.2.0', '12.0.0-beta.1'].every(version => regexp.test(version)));
+  assert.ok(!['12.x', '12.2', 'latest'].some(version => regexp.test(version)));
+});
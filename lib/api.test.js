@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { renderReport, resolveGenerator, loadReport, createServer, configFromEnv, REPORT_FORMATS } from '../index.js';
+import { createFakePackage, createLhr, createTempDir } from '../test/helpers.js';
+
+function createRootDir(t) {
+  const rootDir = createTempDir(t);
+  createFakePackage(path.join(rootDir, 'node_modules'), 'lighthouse-v12.2.0', '12.2.0');
+  return rootDir;
+}
+
+test('the package entry point exports the server and its configuration', () => {
+  assert.equal(typeof createServer, 'function');
+  assert.equal(typeof configFromEnv, 'function');
+  assert.deepEqual(Object.keys(REPORT_FORMATS), ['html', 'json', 'csv']);
+});
+
+test('renderReport renders with the closest installed version the policy allows', async t => {
+  const rootDir = createRootDir(t);
+  const options = { rootDir, autoInstall: false, workers: false };
+
+  const result = await renderReport(createLhr({ version: '12.2.1' }), { format: 'csv', versionPolicy: 'patch', ...options });
+  assert.deepEqual(result, {
+    output: 'csv:https://example.com/',
+    contentType: 'text/csv; charset=utf-8',
+    reportVersion: '12.2.1',
+    rendererVersion: '12.2.0',
+  });
+
+  await assert.rejects(renderReport(createLhr({ version: '12.2.1' }), { format: 'csv', versionPolicy: 'exact', ...options }), /Lighthouse v12\.2\.1 is not installed/);
+  await assert.rejects(renderReport(createLhr(), { format: 'pdf', ...options }), /Unsupported format "pdf" \(expected one of html, json, csv\)/);
+  await assert.rejects(renderReport({ lighthouseVersion: '12.2.0' }, options), { status: 422, code: 'INVALID_REPORT' });
+});
+
+test('resolveGenerator loads the report generator of the resolved version', async t => {
+  const rootDir = createRootDir(t);
+
+  const { ReportGenerator, packageName, version } = await resolveGenerator('12.2.0', { rootDir, autoInstall: false, workers: false });
+  assert.deepEqual([packageName, version], ['lighthouse-v12.2.0', '12.2.0']);
+  assert.equal(ReportGenerator.generateReport(createLhr(), 'json'), 'json:https://example.com/');
+});
+
+test('loadReport accepts objects, JSON and files, and validates them', async t => {
+  const file = path.join(createTempDir(t), 'report.json');
+  fs.writeFileSync(file, JSON.stringify(createLhr()));
+
+  assert.equal((await loadReport(createLhr())).lighthouseVersion, '12.2.0');
+  assert.equal((await loadReport(JSON.stringify(createLhr()))).lighthouseVersion, '12.2.0');
+  assert.equal((await loadReport(Buffer.from(JSON.stringify(createLhr())))).lighthouseVersion, '12.2.0');
+  assert.equal((await loadReport(file)).lighthouseVersion, '12.2.0');
+  await assert.rejects(loadReport('{"audits": {}}'), { code: 'INVALID_REPORT', source: 'inline JSON' });
+});
@@ -0,0 +1,107 @@
+// SVG score badges for READMEs, pull requests and dashboards, in the flat
+// style of shields.io: a grey label followed by one coloured segment per score.
+// Colours follow Lighthouse's pass/average/fail thresholds.
+
+import { escapeHtml } from './html.js';
+import { PASS_THRESHOLD, AVERAGE_THRESHOLD, formatScore } from './lhr.js';
+
+const COLORS = {
+  label: '#555',
+  pass: '#0cce6b',
+  average: '#ffa400',
+  fail: '#ff4e42',
+  none: '#9e9e9e',
+};
+
+// Shorter names for the combined badge
+const SHORT_CATEGORY_NAMES = {
+  'performance': 'perf',
+  'accessibility': 'a11y',
+  'best-practices': 'bp',
+  'seo': 'seo',
+  'pwa': 'pwa',
+};
+
+const FONT_SIZE = 11;
+const HEIGHT = 20;
+const PADDING = 6;
+
+// Approximate width of Verdana at 11px; badges don't need exact text metrics
+function textWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    width += /[ilI.,:;|!']/.test(char) ? 3.5 : /[mwMW]/.test(char) ? 9.5 : /[A-Z0-9]/.test(char) ? 7.5 : 6.5;
+  }
+  return Math.round(width);
+}
+
+function scoreColor(score) {
+  if (score === null || score === undefined) {
+    return COLORS.none;
+  }
+  if (score >= PASS_THRESHOLD) {
+    return COLORS.pass;
+  }
+  return score >= AVERAGE_THRESHOLD ? COLORS.average : COLORS.fail;
+}
+
+// segments: [{ text, color }], drawn left to right. link is opened when the
+// badge is clicked, in viewers that allow it (an <img> never does).
+function renderBadge(segments, { link = null, title }) {
+  let x = 0;
+  const parts = segments.map(({ text, color }) => {
+    const width = textWidth(text) + PADDING * 2;
+    const part = { text, color, x, width };
+    x += width;
+    return part;
+  });
+
+  const rects = parts.map(part => `<rect x="${part.x}" width="${part.width}" height="${HEIGHT}" fill="${part.color}"/>`).join('');
+  const texts = parts.map(part => {
+    const center = part.x + part.width / 2;
+    const text = escapeHtml(part.text);
+    return `<text x="${center}" y="15" fill="#010101" fill-opacity=".3">${text}</text><text x="${center}" y="14">${text}</text>`;
+  }).join('');
+
+  const body = `<g clip-path="url(#r)">${rects}<rect width="${x}" height="${HEIGHT}" fill="url(#s)"/></g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="${FONT_SIZE}">${texts}</g>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${x}" height="${HEIGHT}" role="img" aria-label="${escapeHtml(title)}">
+  <title>${escapeHtml(title)}</title>
+  <linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+  <clipPath id="r"><rect width="${x}" height="${HEIGHT}" rx="3" fill="#fff"/></clipPath>
+  ${link ? `<a xlink:href="${escapeHtml(link)}" href="${escapeHtml(link)}" target="_blank">${body}</a>` : body}
+</svg>
+`;
+}
+
+// category: { id, title, score } as returned by getCategories in lib/lhr.js
+export function renderCategoryBadge(category, { link = null } = {}) {
+  const label = category.title.toLowerCase();
+  const value = formatScore(category.score);
+  return renderBadge([
+    { text: label, color: COLORS.label },
+    { text: value, color: scoreColor(category.score) },
+  ], { link, title: `${label}: ${value}` });
+}
+
+// Every category of the report in one badge
+export function renderCategoriesBadge(categories, { link = null, label = 'lighthouse' } = {}) {
+  const segments = categories.map(category => ({
+    text: `${SHORT_CATEGORY_NAMES[category.id] || category.title.toLowerCase()} ${formatScore(category.score)}`,
+    color: scoreColor(category.score),
+  }));
+  return renderBadge([{ text: label, color: COLORS.label }, ...segments], {
+    link,
+    title: `${label}: ${categories.map(category => `${category.title} ${formatScore(category.score)}`).join(', ')}`,
+  });
+}
+
+// Shown instead of a score when the report can't be loaded, so embedding pages
+// show what went wrong instead of a broken image
+export function renderErrorBadge(message, { label = 'lighthouse' } = {}) {
+  return renderBadge([
+    { text: label, color: COLORS.label },
+    { text: message, color: COLORS.none },
+  ], { title: `${label}: ${message}` });
+}
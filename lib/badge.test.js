@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderCategoryBadge, renderCategoriesBadge, renderErrorBadge } from './badge.js';
+import { getCategories } from './lhr.js';
+import { createLhr } from '../test/helpers.js';
+
+// Fill of the last segment, the score
+function scoreFill(svg) {
+  return [...svg.matchAll(/<rect x="\d+" width="\d+" height="20" fill="(#\w+)"\/>/g)].at(-1)[1];
+}
+
+test('colours scores by the Lighthouse thresholds', () => {
+  const fills = [0.95, 0.7, 0.3, null].map(score => scoreFill(renderCategoryBadge({ id: 'performance', title: 'Performance', score })));
+
+  assert.deepEqual(fills, ['#0cce6b', '#ffa400', '#ff4e42', '#9e9e9e']);
+});
+
+test('combines every category into one badge with short names', () => {
+  const categories = getCategories(createLhr({ scores: { 'performance': 0.95, 'best-practices': 0.5 } }));
+  const svg = renderCategoriesBadge(categories, { link: 'https://lighthouse.example.com/report/abc' });
+
+  assert.match(svg, /aria-label="lighthouse: performance 95, best-practices 50"/);
+  assert.match(svg, />perf 95</);
+  assert.match(svg, />bp 50</);
+  assert.match(svg, /<a xlink:href="https:\/\/lighthouse\.example\.com\/report\/abc"/);
+});
+
+test('escapes labels and leaves error badges without a link', () => {
+  const svg = renderErrorBadge('<not found>');
+
+  assert.match(svg, /&lt;not found&gt;/);
+  assert.doesNotMatch(svg, /<a /);
+});
@@ -0,0 +1,194 @@
+// Performance budgets for CI: check a report against minimum category scores,
+// maximum metric values and audits that must pass, and return a verdict with
+// every violation. A budget looks like:
+//
+//   {
+//     "categories": { "performance": 90, "accessibility": 100 },
+//     "metrics": { "largest-contentful-paint": 2500, "CLS": 0.1 },
+//     "audits": ["is-on-https", "uses-http2"]
+//   }
+//
+// Category scores are on the 0-100 scale the report shows, not the 0-1 scale of
+// the LHR; minimums above 0 up to 1 are refused as a likely mix-up. Metrics are
+// keyed by audit ID or by the short labels in METRIC_AUDITS, in milliseconds
+// except for CLS. Scores and values are read with the helpers in lib/lhr.js, so
+// the same budget works for reports from every supported Lighthouse version.
+
+import { escapeHtml } from './html.js';
+import {
+  METRIC_AUDITS,
+  getReportUrl,
+  getCategories,
+  getAuditState,
+  getMetricValue,
+  formatMetricValue,
+  formatScore,
+  isPlainObject,
+} from './lhr.js';
+
+function budgetError(message) {
+  const error = new Error(`Invalid budget: ${message}`);
+  error.status = 400;
+  error.code = 'INVALID_BUDGET';
+  return error;
+}
+
+// Metric definitions by audit ID; other audits with a numeric value work too
+function findMetric(key) {
+  const metric = METRIC_AUDITS.find(candidate => candidate.id === key || candidate.label.toLowerCase() === key.toLowerCase());
+  return metric || { id: key, label: key, title: key, unit: 'ms' };
+}
+
+// Accepts the budget as an object or a JSON string; throws a 400 INVALID_BUDGET error
+export function parseBudget(budget) {
+  if (typeof budget === 'string') {
+    try {
+      budget = JSON.parse(budget);
+    } catch (error) {
+      throw budgetError(`not valid JSON (${error.message})`);
+    }
+  }
+
+  if (!isPlainObject(budget)) {
+    throw budgetError('must be an object with categories, metrics and/or audits');
+  }
+
+  const { categories = {}, metrics = {}, audits = [] } = budget;
+  const unknown = Object.keys(budget).filter(key => !['categories', 'metrics', 'audits'].includes(key));
+  if (unknown.length > 0) {
+    throw budgetError(`unknown fields ${unknown.join(', ')}`);
+  }
+
+  if (!isPlainObject(categories)) {
+    throw budgetError('categories must map category IDs to minimum scores');
+  }
+  for (const [id, minScore] of Object.entries(categories)) {
+    if (typeof minScore !== 'number' || minScore < 0 || minScore > 100) {
+      throw budgetError(`categories.${id} must be a score from 0 to 100`);
+    }
+    // Almost certainly meant on the 0-1 scale of the LHR (1 for 100%), and would let
+    // every report pass
+    if (minScore > 0 && minScore <= 1) {
+      throw budgetError(`categories.${id} is ${minScore}, but scores are from 0 to 100: use ${Math.round(minScore * 100)} for a minimum of ${minScore} on the 0-1 scale`);
+    }
+  }
+
+  if (!isPlainObject(metrics)) {
+    throw budgetError('metrics must map metric audit IDs to maximum values');
+  }
+  for (const [id, maxValue] of Object.entries(metrics)) {
+    if (typeof maxValue !== 'number' || maxValue < 0) {
+      throw budgetError(`metrics.${id} must be a non-negative number`);
+    }
+  }
+
+  if (!Array.isArray(audits) || audits.some(id => typeof id !== 'string')) {
+    throw budgetError('audits must be an array of audit IDs');
+  }
+
+  if (Object.keys(categories).length + Object.keys(metrics).length + audits.length === 0) {
+    throw budgetError('it checks nothing');
+  }
+
+  return { categories, metrics, audits };
+}
+
+// Returns { passed, report, checks, violations }. Every check is
+// { type, id, title, expected, actual, passed, message }; violations are the
+// checks that failed, including those for anything missing from the report.
+export function checkBudget(lhr, budget) {
+  const checks = [];
+  const reportCategories = getCategories(lhr);
+
+  for (const [id, minScore] of Object.entries(budget.categories)) {
+    const category = reportCategories.find(candidate => candidate.id === id);
+    const actual = category && category.score !== null ? Math.round(category.score * 100) : null;
+    const passed = actual !== null && actual >= minScore;
+
+    checks.push({
+      type: 'category',
+      id,
+      title: category?.title || id,
+      expected: minScore,
+      actual,
+      passed,
+      message: actual === null
+        ? `Category ${id} ${category ? 'has no score' : 'is not in the report'}`
+        : `${category.title} scored ${formatScore(category.score)}, ${passed ? 'at least' : 'below'} the minimum of ${minScore}`,
+    });
+  }
+
+  for (const [key, maxValue] of Object.entries(budget.metrics)) {
+    const metric = findMetric(key);
+    const actual = getMetricValue(lhr, metric.id);
+    const passed = actual !== null && actual <= maxValue;
+
+    checks.push({
+      type: 'metric',
+      id: metric.id,
+      title: metric.title,
+      expected: maxValue,
+      actual,
+      passed,
+      message: actual === null
+        ? `Metric ${metric.id} is not in the report`
+        : `${metric.title} was ${formatMetricValue(metric, actual)}, ${passed ? 'within' : 'over'} the maximum of ${formatMetricValue(metric, maxValue)}`,
+    });
+  }
+
+  for (const id of budget.audits) {
+    const audit = lhr.audits?.[id];
+    const state = getAuditState(audit);
+
+    checks.push({
+      type: 'audit',
+      id,
+      title: audit?.title || id,
+      expected: 'pass',
+      actual: state || audit?.scoreDisplayMode || null,
+      passed: state === 'pass',
+      message: !audit
+        ? `Audit ${id} is not in the report`
+        : `${audit.title} ${state === 'pass' ? 'passed' : state === 'fail' ? 'failed' : `was not scored (${audit.scoreDisplayMode})`}`,
+    });
+  }
+
+  const violations = checks.filter(check => !check.passed);
+
+  return {
+    passed: violations.length === 0,
+    report: {
+      url: getReportUrl(lhr),
+      lighthouseVersion: lhr.lighthouseVersion,
+      fetchTime: lhr.fetchTime || null,
+    },
+    checks,
+    violations,
+  };
+}
+
+// The verdict as a JUnit test suite with one test case per check, for CI
+// systems that show test results
+export function renderBudgetJUnit(verdict, { name = 'Lighthouse budget' } = {}) {
+  const testCases = verdict.checks.map(check => {
+    const attributes = `name="${escapeHtml(`${check.type} ${check.id}`)}" classname="${escapeHtml(verdict.report.url || 'lighthouse')}"`;
+    if (check.passed) {
+      return `    <testcase ${attributes}/>`;
+    }
+    const limit = { category: 'Minimum', metric: 'Maximum', audit: 'Expected' }[check.type];
+    const details = `${limit}: ${check.expected}, actual: ${check.actual ?? 'missing'}`;
+    return `    <testcase ${attributes}>\n      <failure message="${escapeHtml(check.message)}" type="${check.type}">${escapeHtml(details)}</failure>\n    </testcase>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeHtml(name)}" tests="${verdict.checks.length}" failures="${verdict.violations.length}">
+  <testsuite name="${escapeHtml(name)}" tests="${verdict.checks.length}" failures="${verdict.violations.length}" errors="0" timestamp="${escapeHtml(verdict.report.fetchTime || '')}">
+    <properties>
+      <property name="url" value="${escapeHtml(verdict.report.url || '')}"/>
+      <property name="lighthouseVersion" value="${escapeHtml(verdict.report.lighthouseVersion)}"/>
+    </properties>
+${testCases.join('\n')}
+  </testsuite>
+</testsuites>
+`;
+}
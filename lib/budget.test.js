@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBudget, checkBudget, renderBudgetJUnit } from './budget.js';
+import { createLhr } from '../test/helpers.js';
+
+const lhr = createLhr({
+  scores: { performance: 0.87, accessibility: 1 },
+  audits: {
+    'largest-contentful-paint': { id: 'largest-contentful-paint', title: 'Largest Contentful Paint', score: 0.6, scoreDisplayMode: 'numeric', numericValue: 3100 },
+    'is-on-https': { id: 'is-on-https', title: 'Uses HTTPS', score: 1, scoreDisplayMode: 'binary' },
+    'uses-http2': { id: 'uses-http2', title: 'Use HTTP/2', score: 0, scoreDisplayMode: 'metricSavings' },
+  },
+});
+
+test('parseBudget accepts objects and JSON strings', () => {
+  const budget = { categories: { performance: 90 }, metrics: { LCP: 2500 }, audits: ['is-on-https'] };
+
+  assert.deepEqual(parseBudget(budget), budget);
+  assert.deepEqual(parseBudget(JSON.stringify(budget)), budget);
+  assert.deepEqual(parseBudget({ categories: { performance: 0 } }), { categories: { performance: 0 }, metrics: {}, audits: [] });
+});
+
+test('parseBudget rejects invalid budgets with 400', () => {
+  for (const [budget, message] of [
+    ['{', /not valid JSON/],
+    [[], /must be an object/],
+    [{}, /checks nothing/],
+    [{ categories: { performance: 90 }, extra: 1 }, /unknown fields extra/],
+    [{ categories: { performance: 120 } }, /from 0 to 100/],
+    [{ categories: { performance: '90' } }, /from 0 to 100/],
+    [{ metrics: { LCP: -1 } }, /non-negative/],
+    [{ audits: 'is-on-https' }, /array of audit IDs/],
+  ]) {
+    assert.throws(() => parseBudget(budget), { status: 400, code: 'INVALID_BUDGET', message }, JSON.stringify(budget));
+  }
+});
+
+test('parseBudget rejects minimums on the 0-1 scale', () => {
+  assert.throws(() => parseBudget({ categories: { performance: 0.9 } }), {
+    status: 400,
+    message: 'Invalid budget: categories.performance is 0.9, but scores are from 0 to 100: use 90 for a minimum of 0.9 on the 0-1 scale',
+  });
+  assert.throws(() => parseBudget({ categories: { accessibility: 1 } }), {
+    status: 400,
+    message: 'Invalid budget: categories.accessibility is 1, but scores are from 0 to 100: use 100 for a minimum of 1 on the 0-1 scale',
+  });
+  assert.deepEqual(parseBudget({ categories: { performance: 2 } }).categories, { performance: 2 });
+});
+
+test('checkBudget reports every violation', () => {
+  const verdict = checkBudget(lhr, parseBudget({
+    categories: { performance: 90, accessibility: 100, seo: 50 },
+    metrics: { LCP: 2500, 'first-contentful-paint': 1800 },
+    audits: ['is-on-https', 'uses-http2'],
+  }));
+
+  assert.equal(verdict.passed, false);
+  assert.deepEqual(verdict.report, { url: 'https://example.com/', lighthouseVersion: '12.2.0', fetchTime: '2024-01-31T12:00:00.000Z' });
+  assert.deepEqual(verdict.checks.map(check => [check.type, check.id, check.actual, check.passed]), [
+    ['category', 'performance', 87, false],
+    ['category', 'accessibility', 100, true],
+    ['category', 'seo', null, false],
+    ['metric', 'largest-contentful-paint', 3100, false],
+    ['metric', 'first-contentful-paint', 1200, true],
+    ['audit', 'is-on-https', 'pass', true],
+    ['audit', 'uses-http2', 'fail', false],
+  ]);
+  assert.deepEqual(verdict.violations.map(check => check.id), ['performance', 'seo', 'largest-contentful-paint', 'uses-http2']);
+  assert.equal(verdict.violations[1].message, 'Category seo is not in the report');
+});
+
+test('checkBudget passes reports within the budget', () => {
+  const verdict = checkBudget(lhr, parseBudget({ categories: { performance: 85 }, metrics: { FCP: 1500 } }));
+
+  assert.equal(verdict.passed, true);
+  assert.deepEqual(verdict.violations, []);
+});
+
+test('renderBudgetJUnit has a test case per check', () => {
+  const xml = renderBudgetJUnit(checkBudget(lhr, parseBudget({ categories: { performance: 90, accessibility: 100 } })));
+
+  assert.match(xml, /<testsuites name="Lighthouse budget" tests="2" failures="1">/);
+  assert.match(xml, /<testcase name="category accessibility" classname="https:\/\/example.com\/"\/>/);
+  assert.match(xml, /<failure message="performance scored 87, below the minimum of 90" type="category">Minimum: 90, actual: 87<\/failure>/);
+});
@@ -0,0 +1,202 @@
+// Diff two Lighthouse reports, possibly produced by different Lighthouse versions
+
+import { escapeHtml, renderPage } from './html.js';
+import {
+  METRIC_AUDITS,
+  getReportUrl,
+  getCategories,
+  getAuditState,
+  getMetricValue,
+  formatMetricValue,
+  formatScore,
+} from './lhr.js';
+
+function describeReport(lhr) {
+  return {
+    lighthouseVersion: lhr.lighthouseVersion,
+    url: getReportUrl(lhr),
+    fetchTime: lhr.fetchTime || lhr.generatedTime || null,
+  };
+}
+
+function difference(before, after) {
+  return before === null || after === null ? null : after - before;
+}
+
+export function compareReports(before, after) {
+  // Categories, in the order of the "before" report followed by any new ones
+  const beforeCategories = getCategories(before);
+  const afterCategories = getCategories(after);
+  const categoryIds = [...new Set([...beforeCategories, ...afterCategories].map(category => category.id))];
+  
+  const categories = categoryIds.map(id => {
+    const beforeCategory = beforeCategories.find(category => category.id === id);
+    const afterCategory = afterCategories.find(category => category.id === id);
+    const beforeScore = beforeCategory ? beforeCategory.score : null;
+    const afterScore = afterCategory ? afterCategory.score : null;
+    
+    return {
+      id,
+      title: (afterCategory || beforeCategory).title,
+      before: beforeScore,
+      after: afterScore,
+      delta: difference(beforeScore, afterScore),
+    };
+  });
+  
+  // Metrics present in at least one of the reports
+  const metrics = METRIC_AUDITS
+    .map(metric => {
+      const beforeValue = getMetricValue(before, metric.id);
+      const afterValue = getMetricValue(after, metric.id);
+      return { ...metric, before: beforeValue, after: afterValue, delta: difference(beforeValue, afterValue) };
+    })
+    .filter(metric => metric.before !== null || metric.after !== null);
+  
+  // Audits that flipped between pass and fail, or only exist on one side
+  const beforeAudits = before.audits || {};
+  const afterAudits = after.audits || {};
+  const changedAudits = [];
+  const onlyBefore = [];
+  const onlyAfter = [];
+  
+  for (const [id, audit] of Object.entries(beforeAudits)) {
+    if (!(id in afterAudits)) {
+      onlyBefore.push({ id, title: audit.title || id, state: getAuditState(audit) });
+      continue;
+    }
+    
+    const beforeState = getAuditState(audit);
+    const afterState = getAuditState(afterAudits[id]);
+    if (beforeState && afterState && beforeState !== afterState) {
+      changedAudits.push({ id, title: afterAudits[id].title || audit.title || id, before: beforeState, after: afterState });
+    }
+  }
+  
+  for (const [id, audit] of Object.entries(afterAudits)) {
+    if (!(id in beforeAudits)) {
+      onlyAfter.push({ id, title: audit.title || id, state: getAuditState(audit) });
+    }
+  }
+  
+  // Regressions first
+  changedAudits.sort((a, b) => (a.after === 'fail' ? -1 : 1) - (b.after === 'fail' ? -1 : 1));
+  
+  return {
+    before: describeReport(before),
+    after: describeReport(after),
+    sameVersion: before.lighthouseVersion === after.lighthouseVersion,
+    categories,
+    metrics,
+    changedAudits,
+    onlyBefore,
+    onlyAfter,
+  };
+}
+
+function renderDelta(delta, { higherIsBetter, format }) {
+  if (delta === null) {
+    return '<span class="muted">–</span>';
+  }
+  if (delta === 0) {
+    return '<span class="muted">±0</span>';
+  }
+  
+  const improved = higherIsBetter ? delta > 0 : delta < 0;
+  const sign = delta > 0 ? '+' : '−';
+  return `<span class="${improved ? 'better' : 'worse'}">${sign}${escapeHtml(format(Math.abs(delta)))}</span>`;
+}
+
+function renderState(state) {
+  if (!state) {
+    return '<span class="muted">not scored</span>';
+  }
+  return state === 'pass' ? '<span class="better">pass</span>' : '<span class="worse">fail</span>';
+}
+
+function renderAuditList(audits) {
+  if (audits.length === 0) {
+    return '<p class="muted">None</p>';
+  }
+  
+  return `<table>
+      <tr><th>Audit</th><th>State</th></tr>
+      ${audits.map(audit => `<tr><td>${escapeHtml(audit.title)} <span class="muted">${escapeHtml(audit.id)}</span></td><td>${renderState(audit.state)}</td></tr>`).join('\n      ')}
+    </table>`;
+}
+
+// links: { before, after } URLs of the full reports
+export function renderComparePage(diff, links) {
+  const reportHeader = (label, report, link) => `
+      <div class="card">
+        <h2 style="margin-top: 0;">${label}</h2>
+        <p>${escapeHtml(report.url || 'Unknown URL')}</p>
+        <p class="muted">
+          Lighthouse <span class="version">v${escapeHtml(report.lighthouseVersion)}</span>
+          ${report.fetchTime ? ` · ${escapeHtml(new Date(report.fetchTime).toLocaleString('en-US'))}` : ''}
+          · <a href="${escapeHtml(link)}">Open report</a>
+        </p>
+      </div>`;
+  
+  const content = `
+    <h1>Report comparison</h1>
+    <div class="columns">
+      ${reportHeader('Before', diff.before, links.before)}
+      ${reportHeader('After', diff.after, links.after)}
+    </div>
+    ${diff.sameVersion ? '' : `<p class="card notice">These reports were generated by different Lighthouse versions. Scoring and audits may have changed between versions, so some differences may not be caused by the page itself.</p>`}
+    
+    <h2>Category scores</h2>
+    <div class="card">
+      <table>
+        <tr><th>Category</th><th class="num">Before</th><th class="num">After</th><th class="num">Change</th></tr>
+        ${diff.categories.map(category => `<tr>
+          <td>${escapeHtml(category.title)}</td>
+          <td class="num">${formatScore(category.before)}</td>
+          <td class="num">${formatScore(category.after)}</td>
+          <td class="num">${renderDelta(category.delta, { higherIsBetter: true, format: formatScore })}</td>
+        </tr>`).join('\n        ')}
+      </table>
+    </div>
+    
+    <h2>Metrics</h2>
+    <div class="card">
+      <table>
+        <tr><th>Metric</th><th class="num">Before</th><th class="num">After</th><th class="num">Change</th></tr>
+        ${diff.metrics.map(metric => `<tr>
+          <td>${escapeHtml(metric.title)} <span class="muted">${escapeHtml(metric.label)}</span></td>
+          <td class="num">${escapeHtml(formatMetricValue(metric, metric.before))}</td>
+          <td class="num">${escapeHtml(formatMetricValue(metric, metric.after))}</td>
+          <td class="num">${renderDelta(metric.delta, { higherIsBetter: false, format: value => formatMetricValue(metric, value) })}</td>
+        </tr>`).join('\n        ')}
+      </table>
+    </div>
+    
+    <h2>Audits that changed state (${diff.changedAudits.length})</h2>
+    <div class="card">
+      ${diff.changedAudits.length === 0 ? '<p class="muted">No audit changed between pass and fail.</p>' : `<table>
+        <tr><th>Audit</th><th>Before</th><th>After</th></tr>
+        ${diff.changedAudits.map(audit => `<tr>
+          <td>${escapeHtml(audit.title)} <span class="muted">${escapeHtml(audit.id)}</span></td>
+          <td>${renderState(audit.before)}</td>
+          <td>${renderState(audit.after)}</td>
+        </tr>`).join('\n        ')}
+      </table>`}
+    </div>
+    
+    <h2>Audits only in the before report (${diff.onlyBefore.length})</h2>
+    <div class="card">
+      ${renderAuditList(diff.onlyBefore)}
+    </div>
+    
+    <h2>Audits only in the after report (${diff.onlyAfter.length})</h2>
+    <div class="card">
+      ${renderAuditList(diff.onlyAfter)}
+    </div>`;
+  
+  return renderPage('Lighthouse report comparison', content, {
+    styles: `
+    .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+    .notice { background: #fff8e1; }`,
+  });
+}
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareReports, renderComparePage } from './compare.js';
+import { createLhr, createFlow, startServerWithReports } from '../test/helpers.js';
+
+const before = createLhr({
+  version: '11.7.1',
+  scores: { performance: 0.9, seo: 1 },
+  audits: {
+    'is-on-https': { id: 'is-on-https', title: 'Uses HTTPS', score: 1, scoreDisplayMode: 'binary' },
+    'no-vulnerable-libraries': { id: 'no-vulnerable-libraries', title: 'Vulnerable libraries', score: 1, scoreDisplayMode: 'binary' },
+    'errors-in-console': { id: 'errors-in-console', title: 'Console errors', score: 0, scoreDisplayMode: 'binary' },
+  },
+});
+const after = createLhr({
+  scores: { performance: 0.72, accessibility: 0.8 },
+  audits: {
+    'first-contentful-paint': { id: 'first-contentful-paint', title: 'First Contentful Paint', score: 0.95, scoreDisplayMode: 'numeric', numericValue: 2400 },
+    'is-on-https': { id: 'is-on-https', title: 'Uses HTTPS', score: 0, scoreDisplayMode: 'binary' },
+    'errors-in-console': { id: 'errors-in-console', title: 'Console errors', score: 1, scoreDisplayMode: 'binary' },
+    'uses-http2': { id: 'uses-http2', title: 'Use <HTTP/2>', score: 1, scoreDisplayMode: 'binary' },
+  },
+});
+
+test('compares scores, metrics and audits of two reports', () => {
+  const diff = compareReports(before, after);
+
+  assert.equal(diff.sameVersion, false);
+  assert.deepEqual(diff.categories.map(({ id, before, after }) => [id, before, after]), [
+    ['performance', 0.9, 0.72],
+    ['seo', 1, null],
+    ['accessibility', null, 0.8],
+  ]);
+  assert.ok(Math.abs(diff.categories[0].delta + 0.18) < 1e-9);
+  assert.equal(diff.categories[1].delta, null);
+
+  const fcp = diff.metrics.find(metric => metric.id === 'first-contentful-paint');
+  assert.deepEqual([fcp.before, fcp.after, fcp.delta], [1200, 2400, 1200]);
+
+  assert.deepEqual(diff.changedAudits.map(({ id, before, after }) => [id, before, after]), [
+    ['is-on-https', 'pass', 'fail'],
+    ['errors-in-console', 'fail', 'pass'],
+  ]);
+  assert.deepEqual(diff.onlyBefore.map(audit => audit.id), ['no-vulnerable-libraries']);
+  assert.deepEqual(diff.onlyAfter.map(audit => audit.id), ['uses-http2']);
+});
+
+test('the comparison page warns about different versions and escapes titles', () => {
+  const html = renderComparePage(compareReports(before, after), { before: '/report/a', after: '/report/b' });
+
+  assert.match(html, /generated by different Lighthouse versions/);
+  assert.match(html, /Use &lt;HTTP\/2&gt;/);
+  assert.match(html, /<span class="worse">−18<\/span>/);
+  assert.match(html, /href="\/report\/b"/);
+  assert.doesNotMatch(renderComparePage(compareReports(after, after), { before: '', after: '' }), /different Lighthouse versions/);
+});
+
+test('GET /compare/:before/:after', async t => {
+  const { baseUrl, link } = await startServerWithReports(t, { before, after, flow: createFlow() });
+  const [beforeLink, afterLink, flowLink] = [link('before'), link('after'), link('flow')];
+
+  const json = await fetch(`${baseUrl}/compare/${beforeLink}/${afterLink}?format=json`);
+  assert.equal(json.status, 200);
+  assert.equal((await json.json()).changedAudits.length, 2);
+
+  const page = await fetch(`${baseUrl}/compare/${beforeLink}/${afterLink}`);
+  assert.match(await page.text(), new RegExp(`href="/report/${afterLink}"`));
+
+  const flow = await fetch(`${baseUrl}/compare/${beforeLink}/${flowLink}`);
+  assert.match(await flow.text(), /User-flow reports cannot be compared/);
+});
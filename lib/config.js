@@ -0,0 +1,74 @@
+// Server options from environment variables, see the README and .env.example.
+// Relative directories are resolved against rootDir.
+
+import path from 'path';
+import { keyringFromEnv } from './links.js';
+import { sourcesFromEnv } from './sources/index.js';
+import { tenantsFromEnv } from './tenants.js';
+import { DEFAULT_MAX_REPORT_BYTES } from './report-body.js';
+import { DEFAULT_MAX_MEMORY_MB, DEFAULT_MAX_WORKERS } from './render-pool.js';
+
+export function configFromEnv(env = process.env, { rootDir = process.cwd() } = {}) {
+  return {
+    rootDir,
+
+    // How to pick a stand-in when a report's exact version isn't installed, see lib/versions.js
+    versionPolicy: env.VERSION_POLICY || 'minor',
+
+    // Offline servers can skip installing and go straight to the closest installed version
+    autoInstall: env.AUTO_INSTALL !== 'false',
+
+    // With LIGHTHOUSE_MIRROR_DIR set, packages come from the local mirror instead of the registry
+    mirrorDir: env.LIGHTHOUSE_MIRROR_DIR ? path.resolve(rootDir, env.LIGHTHOUSE_MIRROR_DIR) : null,
+
+    // Reports render in worker threads, one per Lighthouse version, see lib/render-pool.js
+    workers: env.RENDER_WORKERS === 'false' ? false : {
+      timeoutMs: parseInt(env.RENDER_TIMEOUT_MS || '30000', 10),
+      maxMemoryMb: parseInt(env.RENDER_WORKER_MAX_MEMORY_MB || String(DEFAULT_MAX_MEMORY_MB), 10),
+      idleMs: parseInt(env.RENDER_WORKER_IDLE_SECONDS || '300', 10) * 1000,
+      maxWorkers: parseInt(env.RENDER_WORKERS_MAX || String(DEFAULT_MAX_WORKERS), 10),
+    },
+
+    // Rendered output, keyed by report content and rendering package, see lib/render-cache.js
+    outputCache: env.RENDER_CACHE_MAX_ENTRIES === '0' ? false : {
+      maxEntries: parseInt(env.RENDER_CACHE_MAX_ENTRIES || '100', 10),
+      maxBytes: parseInt(env.RENDER_CACHE_MAX_BYTES || String(100 * 1024 * 1024), 10),
+      precompress: env.RENDER_CACHE_PRECOMPRESS === 'true',
+    },
+
+    keyring: keyringFromEnv(env),
+    sources: sourcesFromEnv(env),
+
+    // Remote report data, revalidated against the source once the TTL expires
+    cache: {
+      maxEntries: parseInt(env.REPORT_CACHE_MAX_ENTRIES || '100', 10),
+      maxBytes: parseInt(env.REPORT_CACHE_MAX_BYTES || String(200 * 1024 * 1024), 10),
+      ttlMs: parseInt(env.REPORT_CACHE_TTL_SECONDS || '300', 10) * 1000,
+      diskDir: env.REPORT_CACHE_DIR ? path.resolve(rootDir, env.REPORT_CACHE_DIR) : null,
+    },
+
+    // Largest report accepted from any source, measured after decompression
+    reportMaxBytes: parseInt(env.REPORT_MAX_BYTES || String(DEFAULT_MAX_REPORT_BYTES), 10),
+
+    // Uploaded reports are stored here when a shareable link is requested
+    uploadsDir: path.resolve(rootDir, env.UPLOADS_DIR || 'uploads'),
+    uploadMaxBytes: parseInt(env.UPLOAD_MAX_BYTES || String(50 * 1024 * 1024), 10),
+    uploadsTtlMs: parseInt(env.UPLOADS_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000,
+    uploadsMaxTotalBytes: parseInt(env.UPLOADS_MAX_TOTAL_BYTES || String(1024 * 1024 * 1024), 10),
+
+    // A directory of local reports, listed at / instead of the single report.json
+    reportsDir: env.REPORTS_DIR ? path.resolve(rootDir, env.REPORTS_DIR) : null,
+
+    // Upper bound on the number of reports loaded for one trend page
+    trendMaxReports: parseInt(env.TREND_MAX_REPORTS || '100', 10),
+
+    // Where clients reach the server, for absolute links such as those in badges
+    publicUrl: env.PUBLIC_URL || null,
+
+    // Enables the admin API and page at /admin
+    adminToken: env.ADMIN_TOKEN || null,
+
+    // Teams with their own link secrets, storage credentials and URL policy
+    tenants: tenantsFromEnv(env, { rootDir }),
+  };
+}
@@ -0,0 +1,38 @@
+// Readiness checks for /readyz: the default lighthouse package must load, as
+// it is the last resort for rendering any report, and the report sources must
+// be configured correctly, the tenants' included (see lib/tenants.js). Resolves to { ready, checks: { name: { ok, error } } }.
+
+export function createReadinessCheck({ renderer, sources, tenants = [] }) {
+  async function checkDefaultPackage() {
+    const ReportGenerator = await renderer.getReportGenerator('lighthouse');
+    if (typeof ReportGenerator?.generateReportHtml !== 'function') {
+      throw new Error('The lighthouse package has no usable ReportGenerator');
+    }
+  }
+
+  function checkSources() {
+    // Custom registries may not implement checkConfig, see lib/sources/index.js
+    const problems = [
+      ...(sources.checkConfig?.() || []),
+      ...tenants.flatMap(tenant => (tenant.sources.checkConfig?.() || []).map(problem => ({ ...problem, source: `${tenant.id}/${problem.source}` }))),
+    ];
+    if (problems.length > 0) {
+      throw new Error(problems.map(({ source, error }) => `${source}: ${error}`).join('; '));
+    }
+  }
+
+  return async function checkReadiness() {
+    const checks = {};
+
+    for (const [name, check] of [['lighthouse', checkDefaultPackage], ['sources', checkSources]]) {
+      try {
+        await check();
+        checks[name] = { ok: true };
+      } catch (error) {
+        checks[name] = { ok: false, error: error.message };
+      }
+    }
+
+    return { ready: Object.values(checks).every(check => check.ok), checks };
+  };
+}
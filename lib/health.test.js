@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReadinessCheck } from './health.js';
+import { sourcesFromEnv } from './sources/index.js';
+import { startServer } from '../test/helpers.js';
+
+const renderer = { getReportGenerator: async () => ({ generateReportHtml: () => '' }) };
+
+test('ready once the default package loads and the sources are configured', async () => {
+  const check = createReadinessCheck({ renderer, sources: sourcesFromEnv({}) });
+
+  assert.deepEqual(await check(), { ready: true, checks: { lighthouse: { ok: true }, sources: { ok: true } } });
+});
+
+test('not ready with a broken package or misconfigured sources, tenants included', async () => {
+  const check = createReadinessCheck({
+    renderer: { getReportGenerator: async () => { throw new Error('Cannot find package'); } },
+    sources: sourcesFromEnv({}),
+    tenants: [{ id: 'a', sources: sourcesFromEnv({ S3_ENABLED: 'true', S3_ACCESS_KEY: 'key' }) }],
+  });
+
+  const { ready, checks } = await check();
+  assert.equal(ready, false);
+  assert.deepEqual(checks.lighthouse, { ok: false, error: 'Cannot find package' });
+  assert.match(checks.sources.error, /^a\/s3: /);
+});
+
+test('GET /healthz, /readyz and /metrics', async t => {
+  const { baseUrl } = await startServer(t);
+
+  assert.deepEqual(await (await fetch(`${baseUrl}/healthz`)).json(), { status: 'ok' });
+
+  const ready = await fetch(`${baseUrl}/readyz`);
+  assert.equal(ready.status, 200);
+  assert.equal((await ready.json()).status, 'ready');
+
+  const metrics = await fetch(`${baseUrl}/metrics`);
+  assert.match(metrics.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.match(await metrics.text(), /^# TYPE lighthouse_report_cache_hits_total counter$/m);
+});
@@ -0,0 +1,66 @@
+// Small helpers for the HTML pages the server renders itself
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Shared layout for server-generated pages (comparison, trends, errors, ...)
+export function renderPage(title, content, { styles = '', head = '' } = {}) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      margin: 0;
+      padding: 2rem;
+      background: #f5f6fa;
+      color: #202124;
+    }
+    main { max-width: 1100px; margin: 0 auto; }
+    h1 { font-size: 1.5rem; margin: 0 0 1rem; }
+    h2 { font-size: 1.15rem; margin: 2rem 0 0.75rem; }
+    a { color: #667eea; }
+    .card {
+      background: white;
+      border-radius: 12px;
+      padding: 1.25rem 1.5rem;
+      box-shadow: 0 2px 12px rgba(0, 0, 0, 0.06);
+      margin-bottom: 1rem;
+    }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 0.5rem 0.75rem; border-bottom: 1px solid #eceef3; }
+    th { font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.03em; color: #5f6368; }
+    td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; }
+    .muted { color: #5f6368; font-size: 0.9rem; }
+    .version {
+      font-family: 'Monaco', 'Menlo', monospace;
+      background: #eef0fb;
+      padding: 0.1rem 0.4rem;
+      border-radius: 4px;
+      font-size: 0.85em;
+    }
+    .better { color: #0c7a3e; }
+    .worse { color: #c5221f; }
+    .score-pass { color: #0c7a3e; }
+    .score-average { color: #b45f06; }
+    .score-fail { color: #c5221f; }
+    ${styles}
+  </style>
+  ${head}
+</head>
+<body>
+  <main>
+${content}
+  </main>
+</body>
+</html>`;
+}
@@ -0,0 +1,260 @@
+// Asynchronous installer for Lighthouse version aliases. Installs run one at a
+// time (parallel npm installs in the same directory corrupt node_modules) in a
+// spawned npm process, so the server keeps handling requests meanwhile.
+//
+// With a mirrorDir, packages come from the local mirror (see lib/mirror.js) instead of the registry.
+//
+// Each version has a job: queued -> installing -> done | failed. Failed jobs are
+// kept so the UI can show what went wrong until the install is retried.
+// Uninstalls go through the same queue, tracked separately from the install jobs,
+// and are `uninstalling` instead of `installing` while they run.
+//
+// `events` emits `start` and `finish` with the job's status for every job.
+// stats() counts the installs, for lib/metrics.js to read when scraped.
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { npmCommand, mirrorInstallArgs } from './mirror.js';
+
+// Lines of npm output kept per job
+const MAX_OUTPUT_LINES = 200;
+
+// Parallel installs into one directory corrupt node_modules, so everything in a
+// process that installs into the same directory should share its installer. A
+// second installer can't be made for another mirror either, so callers asking
+// for a different mirrorDir get an error instead of the first one's mirror.
+const sharedInstallers = new Map();
+
+export function getInstaller({ cwd, mirrorDir = null }) {
+  if (!sharedInstallers.has(cwd)) {
+    sharedInstallers.set(cwd, { mirrorDir, installer: createInstaller({ cwd, mirrorDir }) });
+  }
+
+  const shared = sharedInstallers.get(cwd);
+  if (shared.mirrorDir !== mirrorDir) {
+    throw new Error(`The installer for ${cwd} already installs from ${shared.mirrorDir || 'the registry'}, not ${mirrorDir || 'the registry'}`);
+  }
+  return shared.installer;
+}
+
+export function createInstaller({ cwd, mirrorDir = null }) {
+  const jobs = new Map();
+  const removals = new Map();
+  const events = new EventEmitter();
+  const listeners = new Map();
+  const queue = [];
+  let running = false;
+  // Installs started, and the outcome and duration in seconds of every finished one
+  const installs = { attempts: 0, finished: [] };
+
+  // Listeners follow a version's install, uninstalls aren't reported to them
+  function notify(job) {
+    if (job.action === 'uninstall') {
+      return;
+    }
+
+    const status = toStatus(job);
+    for (const listener of listeners.get(job.version) || []) {
+      listener(status);
+    }
+  }
+
+  function appendOutput(job, chunk) {
+    const lines = chunk.toString('utf8').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) {
+      return;
+    }
+
+    job.output.push(...lines);
+    job.output.splice(0, Math.max(0, job.output.length - MAX_OUTPUT_LINES));
+    notify(job);
+  }
+
+  function runNpm(job) {
+    return new Promise((resolve, reject) => {
+      // Install the exact version with alias, or remove the alias
+      const args = job.action === 'uninstall'
+        ? ['uninstall', job.aliasName, '--no-audit', '--no-fund', '--loglevel=http']
+        : ['install', `${job.aliasName}@npm:lighthouse@${job.version}`, '--no-audit', '--no-fund', '--loglevel=http', ...mirrorInstallArgs(mirrorDir)];
+      console.log(`Running: npm ${args.join(' ')}`);
+      job.output.push(`$ npm ${args.join(' ')}`);
+
+      const child = spawn(npmCommand, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+      child.stdout.on('data', chunk => appendOutput(job, chunk));
+      child.stderr.on('data', chunk => appendOutput(job, chunk));
+      child.on('error', reject);
+      child.on('close', code => {
+        if (code === 0) {
+          resolve();
+          return;
+        }
+
+        // Surface npm's own explanation, e.g. "No matching version found for lighthouse@99.0.0."
+        const reason = job.output
+          .map(line => line.match(/^npm (?:error|ERR!) (?!code\b)(?:[a-z]+ )?(.*)$/)?.[1])
+          .find(Boolean);
+        reject(new Error(reason ? `npm ${job.action} failed: ${reason}` : `npm ${job.action} exited with code ${code}`));
+      });
+    });
+  }
+
+  async function processQueue() {
+    if (running) {
+      return;
+    }
+    running = true;
+
+    while (queue.length > 0) {
+      const job = queue.shift();
+      job.state = job.action === 'uninstall' ? 'uninstalling' : 'installing';
+      job.startedAt = new Date();
+      if (job.action === 'install') {
+        installs.attempts++;
+      }
+      notify(job);
+      events.emit('start', toStatus(job));
+
+      try {
+        await runNpm(job);
+        job.state = 'done';
+        console.log(job.action === 'uninstall'
+          ? `✅ Successfully uninstalled ${job.aliasName}`
+          : `✅ Successfully installed Lighthouse v${job.version} as ${job.aliasName}`);
+      } catch (error) {
+        job.state = 'failed';
+        job.error = error.message;
+        console.error(`❌ Failed to ${job.action} Lighthouse v${job.version}:`, error.message);
+      }
+
+      job.finishedAt = new Date();
+      if (job.action === 'install') {
+        installs.finished.push({ state: job.state, seconds: (job.finishedAt - job.startedAt) / 1000 });
+      }
+      notify(job);
+      events.emit('finish', toStatus(job));
+
+      // A finished install job would still report the removed version as installed
+      if (job.action === 'uninstall' && job.state === 'done' && ['done', 'failed'].includes(jobs.get(job.version)?.state)) {
+        jobs.delete(job.version);
+      }
+      job.resolve(job.state === 'done');
+    }
+
+    running = false;
+  }
+
+  return {
+    events,
+
+    // Queue an install unless one is already queued or running. Failed and
+    // finished jobs are replaced by a fresh attempt. Returns the job, whose
+    // `promise` resolves to true when the install succeeded.
+    install(version) {
+      const existing = jobs.get(version);
+      if (existing && (existing.state === 'queued' || existing.state === 'installing')) {
+        return existing;
+      }
+
+      const job = createJob('install', version);
+      jobs.set(version, job);
+      queue.push(job);
+      notify(job);
+      processQueue();
+
+      return job;
+    },
+
+    // Queue removing a version's alias ("12.2.0", or "12" for a major alias),
+    // after the installs queued before it. Returns the job like install().
+    uninstall(version) {
+      const existing = removals.get(version);
+      if (existing && (existing.state === 'queued' || existing.state === 'uninstalling')) {
+        return existing;
+      }
+
+      const job = createJob('uninstall', version);
+      removals.set(version, job);
+      queue.push(job);
+      processQueue();
+
+      return job;
+    },
+
+    get(version) {
+      return jobs.get(version);
+    },
+
+    // Status of a version's latest install, or null if there is none
+    status(version) {
+      const job = jobs.get(version);
+      return job ? toStatus(job) : null;
+    },
+
+    // { attempts, finished: [{ state, seconds }] } for every install this installer ran
+    stats() {
+      return { attempts: installs.attempts, finished: [...installs.finished] };
+    },
+
+    // Install and uninstall jobs; each status has an `action`
+    list() {
+      return [...jobs.values(), ...removals.values()].map(toStatus);
+    },
+
+    // Listen for state changes and output of a version's install; returns an unsubscribe function
+    subscribe(version, listener) {
+      if (!listeners.has(version)) {
+        listeners.set(version, new Set());
+      }
+      listeners.get(version).add(listener);
+
+      return () => {
+        listeners.get(version).delete(listener);
+        if (listeners.get(version).size === 0) {
+          listeners.delete(version);
+        }
+      };
+    },
+
+    // Forget every job that isn't queued or running
+    clear() {
+      for (const map of [jobs, removals]) {
+        for (const [version, job] of map) {
+          if (job.state === 'done' || job.state === 'failed') {
+            map.delete(version);
+          }
+        }
+      }
+    },
+  };
+}
+
+function createJob(action, version) {
+  const job = {
+    action,
+    version,
+    aliasName: `lighthouse-v${version}`,
+    state: 'queued',
+    output: [],
+    error: null,
+    queuedAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  job.promise = new Promise(resolve => {
+    job.resolve = resolve;
+  });
+  return job;
+}
+
+function toStatus(job) {
+  return {
+    action: job.action,
+    version: job.version,
+    state: job.state,
+    error: job.error || null,
+    output: job.output,
+    queuedAt: job.queuedAt || null,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+  };
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getInstaller } from './installer.js';
+import { createTempDir } from '../test/helpers.js';
+
+test('getInstaller shares one installer per directory and mirror', t => {
+  const cwd = createTempDir(t);
+  const mirrorDir = createTempDir(t);
+
+  const installer = getInstaller({ cwd, mirrorDir });
+  assert.equal(getInstaller({ cwd, mirrorDir }), installer);
+  assert.throws(() => getInstaller({ cwd }), { message: `The installer for ${cwd} already installs from ${mirrorDir}, not the registry` });
+  assert.throws(() => getInstaller({ cwd, mirrorDir: createTempDir(t) }), /already installs from/);
+  assert.notEqual(getInstaller({ cwd: createTempDir(t) }), installer);
+});
+
+test('stats() counts installs and their outcomes', async t => {
+  // npm can't install anything from an empty mirror, so the install fails right away
+  const installer = getInstaller({ cwd: createTempDir(t), mirrorDir: createTempDir(t) });
+
+  assert.deepEqual(installer.stats(), { attempts: 0, finished: [] });
+  assert.equal(await installer.install('12.9.9').promise, false);
+
+  const { attempts, finished } = installer.stats();
+  assert.equal(attempts, 1);
+  assert.deepEqual(finished.map(({ state }) => state), ['failed']);
+  assert.ok(finished[0].seconds >= 0);
+});
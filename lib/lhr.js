@@ -0,0 +1,306 @@
+// Helpers for reading Lighthouse results (LHR) consistently across versions.
+// Lighthouse v3+ keeps categories in an object with 0-1 scores, while v2 used a
+// `reportCategories` array with 0-100 scores, and metric values moved from
+// `rawValue` to `numericValue` in v5.
+
+import { isValidVersion } from './versions.js';
+
+// Lighthouse shows scores at or above 0.9 as passing and below 0.5 as failing
+export const PASS_THRESHOLD = 0.9;
+export const AVERAGE_THRESHOLD = 0.5;
+
+// Metric audits we compare and chart. Each Lighthouse version ships a different
+// subset, so consumers must cope with any of them being missing.
+export const METRIC_AUDITS = [
+  { id: 'first-contentful-paint', label: 'FCP', title: 'First Contentful Paint', unit: 'ms' },
+  { id: 'largest-contentful-paint', label: 'LCP', title: 'Largest Contentful Paint', unit: 'ms' },
+  { id: 'total-blocking-time', label: 'TBT', title: 'Total Blocking Time', unit: 'ms' },
+  { id: 'cumulative-layout-shift', label: 'CLS', title: 'Cumulative Layout Shift', unit: '' },
+  { id: 'speed-index', label: 'SI', title: 'Speed Index', unit: 'ms' },
+  { id: 'interactive', label: 'TTI', title: 'Time to Interactive', unit: 'ms' },
+  { id: 'interaction-to-next-paint', label: 'INP', title: 'Interaction to Next Paint', unit: 'ms' },
+  { id: 'first-meaningful-paint', label: 'FMP', title: 'First Meaningful Paint', unit: 'ms' },
+];
+
+// Audits with these display modes never pass or fail
+const UNSCORED_DISPLAY_MODES = ['notApplicable', 'manual', 'informative', 'error'];
+
+// User-flow results (FlowResult) wrap one LHR per navigation, timespan or snapshot step
+export function isFlowResult(report) {
+  return Boolean(report) && Array.isArray(report.steps);
+}
+
+// Version that generated a report. A flow's steps normally share one version;
+// if they don't, the newest one is returned since it can render the older steps.
+export function getLighthouseVersion(report) {
+  if (!isFlowResult(report)) {
+    return report.lighthouseVersion;
+  }
+  
+  const versions = report.steps.map(step => step.lhr?.lighthouseVersion).filter(Boolean);
+  return versions.sort((a, b) => b.localeCompare(a, 'en', { numeric: true }))[0];
+}
+
+export function getReportUrl(lhr) {
+  return lhr.finalDisplayedUrl || lhr.finalUrl || lhr.requestedUrl || lhr.url || lhr.initialUrl || null;
+}
+
+// Returns [{ id, title, score }] with scores normalized to 0-1 (or null)
+export function getCategories(lhr) {
+  if (lhr.categories && typeof lhr.categories === 'object') {
+    return Object.entries(lhr.categories).map(([id, category]) => ({
+      id: category.id || id,
+      title: category.title || category.name || id,
+      score: typeof category.score === 'number' ? category.score : null,
+    }));
+  }
+  
+  // Lighthouse v2
+  if (Array.isArray(lhr.reportCategories)) {
+    return lhr.reportCategories.map(category => ({
+      id: category.id,
+      title: category.name || category.id,
+      score: typeof category.score === 'number' ? category.score / 100 : null,
+    }));
+  }
+  
+  return [];
+}
+
+export function getAuditScore(audit) {
+  if (!audit || audit.score === null || audit.score === undefined) {
+    return null;
+  }
+  
+  // Lighthouse v2 used booleans for binary audits and 0-100 for numeric ones
+  if (typeof audit.score === 'boolean') {
+    return audit.score ? 1 : 0;
+  }
+  
+  return audit.score > 1 ? audit.score / 100 : audit.score;
+}
+
+// Returns 'pass', 'fail' or null when the audit isn't scored
+export function getAuditState(audit) {
+  if (!audit || UNSCORED_DISPLAY_MODES.includes(audit.scoreDisplayMode)) {
+    return null;
+  }
+  
+  const score = getAuditScore(audit);
+  if (score === null) {
+    return null;
+  }
+  
+  return score >= PASS_THRESHOLD ? 'pass' : 'fail';
+}
+
+export function getMetricValue(lhr, auditId) {
+  const audit = lhr.audits?.[auditId];
+  if (!audit) {
+    return null;
+  }
+  
+  const value = audit.numericValue ?? audit.rawValue;
+  return typeof value === 'number' ? value : null;
+}
+
+export function formatMetricValue(metric, value) {
+  if (value === null || value === undefined) {
+    return '–';
+  }
+  
+  if (metric.unit === 'ms') {
+    return `${Math.round(value).toLocaleString('en-US')} ms`;
+  }
+  
+  return value.toFixed(3);
+}
+
+export function formatScore(score) {
+  return score === null || score === undefined ? '–' : String(Math.round(score * 100));
+}
+
+// Oldest result format the report generators can render: Lighthouse 3 replaced
+// v2's `reportCategories` array with the categories/auditRefs structure
+export const MIN_RENDERABLE_VERSION = '3.0.0';
+
+// User-flow reports were introduced in Lighthouse 9
+export const MIN_FLOW_VERSION = '9.0.0';
+
+// Listing every broken audit of a badly truncated report helps nobody
+const MAX_PROBLEMS = 20;
+
+export function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOlderThan(version, minimum) {
+  return version.localeCompare(minimum, 'en', { numeric: true }) < 0;
+}
+
+// Errors for reports that can't be rendered carry status 422, a code
+// (INVALID_REPORT or UNSUPPORTED_LIGHTHOUSE_VERSION), the problems found as
+// [{ path, message }], and the source the report came from
+export function reportError(message, { code = 'INVALID_REPORT', problems = [], source = null, reportVersion = null } = {}) {
+  const error = new Error(message);
+  error.status = 422;
+  error.code = code;
+  error.problems = problems;
+  error.source = source;
+  error.reportVersion = reportVersion;
+  return error;
+}
+
+export function isReportError(error) {
+  return error?.code === 'INVALID_REPORT' || error?.code === 'UNSUPPORTED_LIGHTHOUSE_VERSION';
+}
+
+// Structure the report generators of the LHR's version rely on
+function findLhrProblems(lhr, prefix) {
+  const problems = [];
+  const add = (field, message) => problems.push({ path: `${prefix}${field}`, message });
+  const major = parseInt(lhr.lighthouseVersion, 10);
+  
+  // Lighthouse 10 renamed finalUrl to finalDisplayedUrl
+  const urlField = major >= 10 ? 'finalDisplayedUrl' : 'finalUrl';
+  if (typeof lhr[urlField] !== 'string') {
+    add(urlField, 'is missing');
+  }
+  if (typeof lhr.fetchTime !== 'string') {
+    add('fetchTime', 'is missing');
+  }
+  if (!isPlainObject(lhr.configSettings)) {
+    add('configSettings', 'must be an object');
+  }
+  if (!Array.isArray(lhr.runWarnings)) {
+    add('runWarnings', 'must be an array');
+  }
+  if (major >= 5 && !isPlainObject(lhr.i18n?.rendererFormattedStrings)) {
+    add('i18n.rendererFormattedStrings', 'must be an object');
+  }
+  
+  const audits = isPlainObject(lhr.audits) ? lhr.audits : null;
+  if (!audits || Object.keys(audits).length === 0) {
+    add('audits', 'must be an object with at least one audit');
+  } else {
+    for (const [id, audit] of Object.entries(audits)) {
+      if (!isPlainObject(audit) || typeof audit.title !== 'string') {
+        add(`audits.${id}`, 'must be an audit result with a title');
+      }
+    }
+  }
+  
+  if (!isPlainObject(lhr.categories) || Object.keys(lhr.categories).length === 0) {
+    add('categories', 'must be an object with at least one category');
+  } else {
+    for (const [id, category] of Object.entries(lhr.categories)) {
+      if (!isPlainObject(category) || !Array.isArray(category.auditRefs)) {
+        add(`categories.${id}.auditRefs`, 'must be an array');
+        continue;
+      }
+      if (category.score !== null && typeof category.score !== 'number') {
+        add(`categories.${id}.score`, 'must be a number or null');
+      }
+      
+      const missing = audits ? category.auditRefs.filter(ref => !audits[ref?.id]).map(ref => ref?.id) : [];
+      if (missing.length > 0) {
+        add(`categories.${id}.auditRefs`, `references missing audits: ${missing.join(', ')}`);
+      }
+    }
+  }
+  
+  return problems;
+}
+
+// Validate that it's a Lighthouse report or user-flow result the report
+// generators can render, before any version is resolved or installed. The
+// version ends up in an npm install command, so only accept plain semver strings.
+// source: where the report came from (URL, file, upload), shown in the error.
+export function assertLighthouseReport(reportData, { source = null } = {}) {
+  if (!isPlainObject(reportData)) {
+    throw reportError('Invalid Lighthouse report: not a JSON object', { source });
+  }
+  
+  const isFlow = isFlowResult(reportData);
+  const lhrs = isFlow ? reportData.steps.map(step => step?.lhr) : [reportData];
+  
+  if (lhrs.length === 0) {
+    throw reportError('Invalid Lighthouse flow report: no steps', { source, problems: [{ path: 'steps', message: 'is empty' }] });
+  }
+  
+  const problems = [];
+  
+  for (const [index, lhr] of lhrs.entries()) {
+    const prefix = isFlow ? `steps[${index}].lhr.` : '';
+    
+    if (!isPlainObject(lhr) || !lhr.lighthouseVersion) {
+      // v1 and v2 results have no lighthouseVersion at the top level
+      const message = `Invalid Lighthouse ${isFlow ? 'flow step' : 'report'}: missing lighthouseVersion`;
+      throw reportError(message, { source, problems: [{ path: `${prefix}lighthouseVersion`, message: 'is missing' }] });
+    }
+    
+    const version = lhr.lighthouseVersion;
+    if (typeof version !== 'string' || !isValidVersion(version)) {
+      throw reportError(`Invalid Lighthouse report: unsupported lighthouseVersion "${version}"`, {
+        source,
+        problems: [{ path: `${prefix}lighthouseVersion`, message: 'must be a version like 12.2.0' }],
+      });
+    }
+    
+    // Rendering these with whatever is installed would only produce a broken page
+    if (isOlderThan(version, MIN_RENDERABLE_VERSION) || Array.isArray(lhr.reportCategories)) {
+      throw reportError(`Reports from Lighthouse v${version} can't be rendered: the oldest supported version is v${MIN_RENDERABLE_VERSION}`, {
+        code: 'UNSUPPORTED_LIGHTHOUSE_VERSION',
+        source,
+        reportVersion: version,
+      });
+    }
+    if (isFlow && isOlderThan(version, MIN_FLOW_VERSION)) {
+      throw reportError(`User-flow reports need Lighthouse v${MIN_FLOW_VERSION} or newer, this one was generated by v${version}`, {
+        code: 'UNSUPPORTED_LIGHTHOUSE_VERSION',
+        source,
+        reportVersion: version,
+      });
+    }
+    
+    if (isFlow && typeof reportData.steps[index].name !== 'string') {
+      problems.push({ path: `steps[${index}].name`, message: 'is missing' });
+    }
+    problems.push(...findLhrProblems(lhr, prefix));
+  }
+  
+  if (problems.length > 0) {
+    const shown = problems.slice(0, MAX_PROBLEMS);
+    if (problems.length > MAX_PROBLEMS) {
+      shown.push({ path: '…', message: `and ${problems.length - MAX_PROBLEMS} more problems` });
+    }
+    
+    const { path, message } = problems[0];
+    const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+    throw reportError(`Invalid Lighthouse report: ${path} ${message}${more}`, {
+      source,
+      problems: shown,
+      reportVersion: getLighthouseVersion(reportData),
+    });
+  }
+  
+  if (new Set(lhrs.map(lhr => lhr.lighthouseVersion)).size > 1) {
+    console.warn(`Flow steps were generated by different Lighthouse versions, rendering with v${getLighthouseVersion(reportData)}`);
+  }
+}
+
+// Build a download filename like example.com_2024-01-31_12-00-00.csv
+export function getReportFilename(reportJson, extension) {
+  let name = 'lighthouse-report';
+  const lhr = isFlowResult(reportJson) ? reportJson.steps[0].lhr : reportJson;
+  try {
+    name = isFlowResult(reportJson) && reportJson.name ? reportJson.name.replace(/\s/g, '-') : new URL(getReportUrl(lhr)).hostname;
+  } catch (error) {
+    // Keep the generic name if the report has no usable URL
+  }
+  
+  const fetchTime = new Date(lhr.fetchTime || Date.now());
+  const timestamp = isNaN(fetchTime) ? '' : `_${fetchTime.toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-')}`;
+  
+  return `${name}${timestamp}.${extension}`.replace(/[/?<>\\:*|"]/g, '-');
+}
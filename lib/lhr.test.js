@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isFlowResult, getLighthouseVersion, getReportFilename, assertLighthouseReport } from './lhr.js';
+import { createLhr, createFlow } from '../test/helpers.js';
+
+test('detects user flows and renders mixed-version flows with the newest version', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const flow = createFlow({ version: '12.2.0' });
+  flow.steps.push({ name: 'Pay', lhr: createLhr({ version: '12.10.0' }) });
+
+  assert.equal(isFlowResult(flow), true);
+  assert.equal(isFlowResult(createLhr()), false);
+  assert.equal(getLighthouseVersion(flow), '12.10.0');
+  assert.equal(getReportFilename(flow, 'json'), 'Checkout_2024-01-31_12-00-00.json');
+
+  assertLighthouseReport(flow);
+  assert.match(warn.mock.calls[0].arguments[0], /different Lighthouse versions, rendering with v12\.10\.0/);
+});
+
+test('rejects flows without steps, unnamed steps and flows older than v9', () => {
+  assert.throws(() => assertLighthouseReport({ steps: [] }), { status: 422, message: /no steps/ });
+
+  const unnamed = createFlow();
+  delete unnamed.steps[0].name;
+  assert.throws(() => assertLighthouseReport(unnamed), error => error.problems[0].path === 'steps[0].name');
+
+  assert.throws(() => assertLighthouseReport(createFlow({ version: '8.6.0' })), {
+    code: 'UNSUPPORTED_LIGHTHOUSE_VERSION',
+    message: /User-flow reports need Lighthouse v9\.0\.0 or newer/,
+  });
+});
+
+test('lists every structural problem of an invalid report', () => {
+  const lhr = createLhr();
+  lhr.configSettings = null;
+  delete lhr.fetchTime;
+  lhr.audits.broken = { score: 1 };
+  lhr.categories.performance.auditRefs.push({ id: 'largest-contentful-paint', weight: 1 });
+
+  assert.throws(() => assertLighthouseReport(lhr, { source: 'https://example.com/report.json' }), error => {
+    assert.equal(error.status, 422);
+    assert.equal(error.code, 'INVALID_REPORT');
+    assert.equal(error.message, 'Invalid Lighthouse report: fetchTime is missing (and 3 more)');
+    assert.equal(error.source, 'https://example.com/report.json');
+    assert.equal(error.reportVersion, '12.2.0');
+    assert.deepEqual(error.problems.map(problem => problem.path), [
+      'fetchTime',
+      'configSettings',
+      'audits.broken',
+      'categories.performance.auditRefs',
+    ]);
+    assert.equal(error.problems[3].message, 'references missing audits: largest-contentful-paint');
+    return true;
+  });
+});
+
+test('checks the URL field of the report version and caps the problems listed', () => {
+  const v9 = { ...createLhr({ version: '9.6.8' }), finalUrl: undefined };
+  assert.throws(() => assertLighthouseReport(v9), error => error.problems[0].path === 'finalUrl');
+
+  const lhr = createLhr();
+  for (let i = 0; i < 30; i++) {
+    lhr.audits[`audit-${i}`] = null;
+  }
+  assert.throws(() => assertLighthouseReport(lhr), error => {
+    assert.equal(error.problems.length, 21);
+    assert.deepEqual(error.problems[20], { path: '…', message: 'and 10 more problems' });
+    return true;
+  });
+});
+
+test('refuses reports it cannot render before any version is resolved', () => {
+  assert.throws(() => assertLighthouseReport([]), { code: 'INVALID_REPORT', message: /not a JSON object/ });
+  assert.throws(() => assertLighthouseReport({ audits: {} }), error => error.problems[0].path === 'lighthouseVersion');
+  assert.throws(() => assertLighthouseReport(createLhr({ version: '12.2.0 && rm -rf /' })), { message: /unsupported lighthouseVersion/ });
+  assert.throws(() => assertLighthouseReport(createLhr({ version: '2.9.0' })), {
+    code: 'UNSUPPORTED_LIGHTHOUSE_VERSION',
+    reportVersion: '2.9.0',
+  });
+});
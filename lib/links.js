@@ -0,0 +1,226 @@
+// Encrypted report links shared by the server and encrypt-url.js.
+//
+// Version 2 links are AES-256-GCM encrypted and look like `2~<base64url>`.
+// The decoded bytes are:
+//
+//   version (1) | expiry, unix seconds, 0 = never (4) | key ID length (1) | key ID
+//   | IV (12) | ciphertext | auth tag (16)
+//
+// Everything before the IV is authenticated as additional data, so neither the
+// expiry nor the key ID can be changed without invalidating the link. Several
+// keys can be active at once: new links use the first one, and links made with
+// any other configured key keep working until that key is removed.
+//
+// Legacy links (AES-128-CTR keyed with the first 16 characters of APP_SECRET,
+// no integrity protection) are only accepted when explicitly enabled.
+
+import crypto from 'crypto';
+
+const LINK_PREFIX = '2~';
+const LINK_VERSION = 2;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+function toBase64Url(buffer) {
+  return buffer.toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+}
+
+function fromBase64Url(value) {
+  // Restore URL-safe base64 to standard base64 and add padding if needed
+  let base64 = value
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+
+  while (base64.length % 4) {
+    base64 += '=';
+  }
+
+  return Buffer.from(base64, 'base64');
+}
+
+function linkError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function deriveKey(secret, keyId) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, '', `lighthouse-report-link:${keyId}`, 32));
+}
+
+// secrets: [{ id, secret }], the first one is used for new links.
+// legacySecret: secret for old AES-128-CTR links, only used when allowLegacy is set.
+export function createKeyring({ secrets = [], legacySecret = null, allowLegacy = false } = {}) {
+  for (const { id, secret } of secrets) {
+    if (!id || Buffer.byteLength(id) > 255 || !secret) {
+      throw new Error(`Invalid link key "${id}": key IDs must be 1-255 bytes and secrets non-empty`);
+    }
+  }
+  const ids = secrets.map(({ id }) => id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Invalid link key "${duplicate}": key IDs must be unique`);
+  }
+
+  return {
+    keys: new Map(secrets.map(({ id, secret }) => [id, deriveKey(secret, id)])),
+    currentKeyId: secrets.length > 0 ? secrets[0].id : null,
+    legacySecret,
+    allowLegacy,
+  };
+}
+
+// Reads APP_SECRETS ("id:secret,id:secret") or a single APP_SECRET, and LEGACY_LINKS_ENABLED.
+// keyIdPrefix namespaces the key IDs, e.g. per tenant (see lib/tenants.js).
+export function keyringFromEnv(env = process.env, { keyIdPrefix = '' } = {}) {
+  let secrets = [];
+
+  if (env.APP_SECRETS) {
+    secrets = env.APP_SECRETS.split(',').map(pair => pair.trim()).filter(Boolean).map((pair, index) => {
+      // Entries are named by position, since a malformed one may be all secret
+      const separator = pair.indexOf(':');
+      if (separator <= 0 || separator === pair.length - 1) {
+        throw new Error(`Invalid APP_SECRETS entry ${index + 1}: expected id:secret with a non-empty ID and secret`);
+      }
+      return { id: pair.slice(0, separator), secret: pair.slice(separator + 1) };
+    });
+  } else if (env.APP_SECRET) {
+    secrets = [{ id: 'default', secret: env.APP_SECRET }];
+  }
+
+  if (keyIdPrefix) {
+    secrets = secrets.map(({ id, secret }) => ({ id: `${keyIdPrefix}${id}`, secret }));
+  }
+
+  return createKeyring({
+    secrets,
+    legacySecret: env.APP_SECRET || null,
+    allowLegacy: env.LEGACY_LINKS_ENABLED === 'true',
+  });
+}
+
+// Parse durations like "3600", "90m", "12h" or "30d" into milliseconds
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+)([smhd]?)$/);
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+
+  const multipliers = { '': 1000, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+  return parseInt(match[1], 10) * multipliers[match[2]];
+}
+
+// expiresAt: Date or timestamp in ms after which the link stops working, or null for no expiry
+export function encryptLink(url, keyring, { expiresAt = null } = {}) {
+  if (!keyring.currentKeyId) {
+    throw new Error('No link secret configured (set APP_SECRET or APP_SECRETS)');
+  }
+
+  const keyId = Buffer.from(keyring.currentKeyId, 'utf8');
+  const header = Buffer.alloc(6 + keyId.length);
+  header.writeUInt8(LINK_VERSION, 0);
+  header.writeUInt32BE(expiresAt ? Math.ceil(new Date(expiresAt).getTime() / 1000) : 0, 1);
+  header.writeUInt8(keyId.length, 5);
+  keyId.copy(header, 6);
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyring.keys.get(keyring.currentKeyId), iv);
+  cipher.setAAD(header);
+
+  const encrypted = Buffer.concat([cipher.update(url, 'utf8'), cipher.final()]);
+
+  return LINK_PREFIX + toBase64Url(Buffer.concat([header, iv, encrypted, cipher.getAuthTag()]));
+}
+
+// Old unauthenticated format, kept for tooling that still needs to produce it
+export function encryptLegacyLink(url, secret) {
+  // Generate random IV (16 bytes for AES-128-CTR)
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-128-ctr', Buffer.from(secret.slice(0, 16), 'utf8'), iv);
+  const encrypted = Buffer.concat([cipher.update(url, 'utf8'), cipher.final()]);
+
+  return toBase64Url(Buffer.concat([iv, encrypted]));
+}
+
+function decryptLegacyLink(hash, keyring) {
+  if (!keyring.allowLegacy) {
+    throw linkError('Legacy links are disabled');
+  }
+  if (!keyring.legacySecret) {
+    throw new Error('APP_SECRET not configured');
+  }
+
+  const encryptedBuffer = fromBase64Url(hash);
+
+  // Extract IV (16 bytes) and encrypted data
+  const iv = encryptedBuffer.subarray(0, 16);
+  const encrypted = encryptedBuffer.subarray(16);
+
+  const decipher = crypto.createDecipheriv('aes-128-ctr', Buffer.from(keyring.legacySecret.slice(0, 16), 'utf8'), iv);
+  const url = Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+
+  return { url, expiresAt: null, keyId: null, legacy: true };
+}
+
+// Key ID a v2 link claims to be signed with, read without decrypting it, or null
+// for legacy and malformed links. Only decryptLink can tell whether the claim is true.
+export function peekLinkKeyId(hash) {
+  if (!hash.startsWith(LINK_PREFIX)) {
+    return null;
+  }
+
+  const buffer = fromBase64Url(hash.slice(LINK_PREFIX.length));
+  if (buffer.length < 6 || buffer.readUInt8(0) !== LINK_VERSION || buffer.length < 6 + buffer.readUInt8(5)) {
+    return null;
+  }
+  return buffer.subarray(6, 6 + buffer.readUInt8(5)).toString('utf8');
+}
+
+// Returns { url, expiresAt, keyId, legacy }. Errors carry an HTTP status:
+// 400 for malformed or forged links, 410 for expired ones.
+export function decryptLink(hash, keyring) {
+  if (!hash.startsWith(LINK_PREFIX)) {
+    return decryptLegacyLink(hash, keyring);
+  }
+
+  const buffer = fromBase64Url(hash.slice(LINK_PREFIX.length));
+  const keyIdLength = buffer.length > 6 ? buffer.readUInt8(5) : 0;
+  const headerLength = 6 + keyIdLength;
+
+  if (buffer.length < headerLength + IV_LENGTH + TAG_LENGTH || buffer.readUInt8(0) !== LINK_VERSION) {
+    throw linkError('Invalid or corrupted hash');
+  }
+
+  const header = buffer.subarray(0, headerLength);
+  const keyId = header.subarray(6).toString('utf8');
+  const key = keyring.keys.get(keyId);
+
+  if (!key) {
+    throw linkError('Link was signed with an unknown or retired key');
+  }
+
+  const iv = buffer.subarray(headerLength, headerLength + IV_LENGTH);
+  const encrypted = buffer.subarray(headerLength + IV_LENGTH, buffer.length - TAG_LENGTH);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAAD(header);
+  decipher.setAuthTag(buffer.subarray(buffer.length - TAG_LENGTH));
+
+  let url;
+  try {
+    url = Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw linkError('Invalid or corrupted hash');
+  }
+
+  const expirySeconds = header.readUInt32BE(1);
+  const expiresAt = expirySeconds ? new Date(expirySeconds * 1000) : null;
+
+  if (expiresAt && expiresAt.getTime() <= Date.now()) {
+    throw linkError('Link has expired', 410);
+  }
+
+  return { url, expiresAt, keyId, legacy: false };
+}
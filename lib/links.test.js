@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKeyring, keyringFromEnv, encryptLink, encryptLegacyLink, decryptLink, peekLinkKeyId, parseDuration } from './links.js';
+
+const URL = 'https://storage.example.com/reports/report.json';
+const keyring = createKeyring({ secrets: [{ id: 'k1', secret: 'first-secret' }] });
+
+// Flip one bit of the decoded link at `offset` (negative counts from the end)
+function tamper(hash, offset) {
+  const buffer = Buffer.from(hash.slice(2), 'base64url');
+  buffer[offset < 0 ? buffer.length + offset : offset] ^= 0x01;
+  return `2~${buffer.toString('base64url')}`;
+}
+
+test('links decrypt to the URL they were made for', () => {
+  const hash = encryptLink(URL, keyring);
+
+  assert.match(hash, /^2~[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decryptLink(hash, keyring), { url: URL, expiresAt: null, keyId: 'k1', legacy: false });
+  assert.equal(peekLinkKeyId(hash), 'k1');
+  assert.notEqual(encryptLink(URL, keyring), hash, 'every link has its own IV');
+});
+
+test('tampered links are rejected with 400', () => {
+  const hash = encryptLink(URL, keyring, { expiresAt: Date.now() + 60 * 1000 });
+  // version | expiry (4) | key ID length | "k1" | IV (12) | ciphertext | tag (16)
+  const parts = { version: 0, expiry: 2, 'key ID': 7, IV: 10, ciphertext: 25, tag: -1 };
+
+  for (const [part, offset] of Object.entries(parts)) {
+    assert.throws(() => decryptLink(tamper(hash, offset), keyring), { status: 400 }, `tampered ${part}`);
+  }
+  assert.throws(() => decryptLink(hash.slice(0, 20), keyring), { status: 400 }, 'truncated');
+});
+
+test('expired links are rejected with 410', () => {
+  const hash = encryptLink(URL, keyring, { expiresAt: Date.now() - 1000 });
+
+  assert.throws(() => decryptLink(hash, keyring), { status: 410, message: 'Link has expired' });
+});
+
+test('links keep working while their key is configured, and stop once it is retired', () => {
+  const oldLink = encryptLink(URL, keyring);
+  const rotated = createKeyring({ secrets: [{ id: 'k2', secret: 'second-secret' }, { id: 'k1', secret: 'first-secret' }] });
+  const retired = createKeyring({ secrets: [{ id: 'k2', secret: 'second-secret' }] });
+
+  assert.equal(decryptLink(oldLink, rotated).url, URL);
+  assert.equal(decryptLink(encryptLink(URL, rotated), retired).keyId, 'k2');
+  assert.throws(() => decryptLink(oldLink, retired), { status: 400, message: /unknown or retired key/ });
+});
+
+test('a key ID with another secret does not decrypt', () => {
+  const impostor = createKeyring({ secrets: [{ id: 'k1', secret: 'guessed-secret' }] });
+
+  assert.throws(() => decryptLink(encryptLink(URL, impostor), keyring), { status: 400 });
+});
+
+test('legacy links are only accepted with LEGACY_LINKS_ENABLED=true', () => {
+  const legacyLink = encryptLegacyLink(URL, 'legacy-secret-of-16+');
+
+  const disabled = keyringFromEnv({ APP_SECRET: 'legacy-secret-of-16+' });
+  assert.throws(() => decryptLink(legacyLink, disabled), { status: 400, message: 'Legacy links are disabled' });
+
+  const enabled = keyringFromEnv({ APP_SECRET: 'legacy-secret-of-16+', LEGACY_LINKS_ENABLED: 'true' });
+  assert.deepEqual(decryptLink(legacyLink, enabled), { url: URL, expiresAt: null, keyId: null, legacy: true });
+  assert.equal(decryptLink(encryptLink(URL, enabled), enabled).keyId, 'default');
+});
+
+test('keyringFromEnv reads rotated secrets in order', () => {
+  const rotated = keyringFromEnv({ APP_SECRETS: 'new:s2, old:s1' });
+
+  assert.equal(rotated.currentKeyId, 'new');
+  assert.deepEqual([...rotated.keys.keys()], ['new', 'old']);
+  assert.throws(() => encryptLink(URL, keyringFromEnv({})), /No link secret configured/);
+});
+
+test('keyringFromEnv refuses malformed and duplicate APP_SECRETS entries', () => {
+  for (const [value, message] of [
+    ['k1:s1, no-separator', /^Invalid APP_SECRETS entry 2: expected id:secret/],
+    [':secret', /^Invalid APP_SECRETS entry 1: expected id:secret/],
+    ['k1:', /^Invalid APP_SECRETS entry 1: expected id:secret/],
+    ['k1:s1,k1:s2', /^Invalid link key "k1": key IDs must be unique/],
+  ]) {
+    assert.throws(() => keyringFromEnv({ APP_SECRETS: value }), { message }, value);
+  }
+  assert.throws(() => keyringFromEnv({ APP_SECRETS: 'no-separator' }), error => !error.message.includes('no-separator'));
+  assert.equal(keyringFromEnv({ APP_SECRETS: 'k1:s:with:colons' }).currentKeyId, 'k1');
+});
+
+test('parseDuration', () => {
+  assert.equal(parseDuration('90'), 90 * 1000);
+  assert.equal(parseDuration('90m'), 90 * 60 * 1000);
+  assert.equal(parseDuration('30d'), 30 * 24 * 60 * 60 * 1000);
+  assert.throws(() => parseDuration('1w'), /Invalid duration/);
+});
@@ -0,0 +1,190 @@
+// Loading reports from wherever they live: encrypted links, URLs handled by the
+// report sources, local files, raw JSON or already parsed objects. Remote
+// reports go through the report cache; every report is validated before use.
+
+import fs from 'fs';
+import { assertLighthouseReport, isReportError } from './lhr.js';
+import { createKeyring, decryptLink } from './links.js';
+import { createReportCache } from './report-cache.js';
+import { DEFAULT_MAX_REPORT_BYTES, readReportJson } from './report-body.js';
+import { sourcesFromEnv } from './sources/index.js';
+
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+
+// keyring: see lib/links.js, needed for encrypted links.
+// sources: see lib/sources/; defaults to the public sources under the default URL policy.
+// cache: see lib/report-cache.js; pass null to always fetch.
+// cacheNamespace: keeps the entries of loaders sharing a cache apart, e.g. per
+// tenant, so one can't be served a report another fetched with its credentials.
+// metrics: see lib/metrics.js, records fetch durations and errors.
+export function createReportLoader({
+  keyring = createKeyring(),
+  sources = sourcesFromEnv({}),
+  maxBytes = DEFAULT_MAX_REPORT_BYTES,
+  cache = createReportCache(),
+  cacheNamespace = null,
+  metrics = null,
+} = {}) {
+  function cacheKey(url) {
+    return cacheNamespace ? JSON.stringify([cacheNamespace, url]) : url;
+  }
+
+  // Loads in progress by cache key, so concurrent requests for a report share one fetch
+  const inFlight = new Map();
+
+  // Decrypt a report link hash to the report URL it points at
+  function decryptHash(encryptedHash) {
+    try {
+      return decryptLink(encryptedHash, keyring).url;
+    } catch (error) {
+      console.error('Decryption failed:', error.message);
+      throw error.status ? error : new Error('Invalid or corrupted hash');
+    }
+  }
+
+  // Fetch a report. With a previously cached entry the request is conditional and
+  // resolves to { notModified: true } when the source hasn't changed; otherwise
+  // it resolves to { report, etag, lastModified, size }.
+  async function fetchRemoteReport(url, cached = null) {
+    const startedAt = Date.now();
+    let sourceName = 'none';
+    const observe = (error = null) => metrics?.observeFetch(sourceName, (Date.now() - startedAt) / 1000, error);
+
+    try {
+      const source = sources.resolve(url);
+      sourceName = source.name;
+      console.log(`Fetching report from: ${url} (${source.name})`);
+
+      const result = await source.fetch(url, cached);
+      if (result.notModified) {
+        observe();
+        return result;
+      }
+
+      const { report: reportData, size } = await readReportJson(result.body, {
+        contentEncoding: result.contentEncoding,
+        contentLength: result.contentLength,
+        name: url,
+        maxBytes,
+      });
+
+      assertLighthouseReport(reportData, { source: url });
+      observe();
+
+      return {
+        report: reportData,
+        etag: result.etag || null,
+        lastModified: result.lastModified || null,
+        size,
+      };
+    } catch (error) {
+      observe(error);
+      console.error('Failed to fetch remote report:', error.message);
+      // The error page explains these, including where the report came from
+      if (isReportError(error)) {
+        throw error;
+      }
+      const fetchError = new Error(`Failed to fetch report: ${error.message}`);
+      fetchError.status = error.status;
+      fetchError.code = error.code;
+      throw fetchError;
+    }
+  }
+
+  // Load a remote report through the cache. Expired entries are revalidated with
+  // a conditional request, and served stale if the source can't be reached.
+  async function loadRemoteReport(url) {
+    const key = cacheKey(url);
+    if (!inFlight.has(key)) {
+      inFlight.set(key, loadThroughCache(url).finally(() => inFlight.delete(key)));
+    }
+    return await inFlight.get(key);
+  }
+
+  async function loadThroughCache(url) {
+    if (!cache) {
+      return (await fetchRemoteReport(url)).report;
+    }
+
+    // Cached reports are only served for URLs the sources and URL policy still accept
+    sources.resolve(url);
+    const cached = await cache.get(cacheKey(url));
+
+    if (cached && cache.isFresh(cached)) {
+      return cached.report;
+    }
+
+    let result;
+    try {
+      result = await fetchRemoteReport(url, cached);
+    } catch (error) {
+      // A URL the policy now blocks must not keep being served from the cache
+      if (cached && error.code !== 'URL_POLICY_VIOLATION') {
+        console.error(`Serving stale report for ${url}: ${error.message}`);
+        return cached.report;
+      }
+      throw error;
+    }
+
+    if (result.notModified) {
+      cache.revalidated(cacheKey(url));
+      return cached.report;
+    }
+
+    cache.set(cacheKey(url), result.report, result);
+    return result.report;
+  }
+
+  // Drop a report from the cache; resolves to whether it was cached
+  async function purge(url) {
+    return cache ? await cache.delete(cacheKey(url)) : false;
+  }
+
+  // Decrypt a report hash and load the report, using the cache when possible
+  async function loadReportFromHash(encryptedHash) {
+    return await loadRemoteReport(decryptHash(encryptedHash));
+  }
+
+  // Local report files may be gzip or brotli compressed
+  async function loadReportFile(filePath) {
+    const { report } = await readReportJson(fs.createReadStream(filePath), { name: filePath, maxBytes });
+    assertLighthouseReport(report, { source: filePath });
+    return report;
+  }
+
+  // source: a report object, JSON string or Buffer, a URL, a local file path or an encrypted hash
+  async function loadReport(source) {
+    if (Buffer.isBuffer(source) || (typeof source === 'string' && source.trimStart().startsWith('{'))) {
+      const { report } = await readReportJson(source, { name: 'inline JSON', maxBytes });
+      assertLighthouseReport(report, { source: 'inline JSON' });
+      return report;
+    }
+
+    if (typeof source !== 'string') {
+      assertLighthouseReport(source);
+      return source;
+    }
+
+    if (URL_PATTERN.test(source)) {
+      return await loadRemoteReport(source);
+    }
+
+    if (fs.existsSync(source)) {
+      return await loadReportFile(source);
+    }
+
+    return await loadReportFromHash(source);
+  }
+
+  return {
+    cache,
+    sources,
+    decryptHash,
+    fetchRemoteReport,
+    loadRemoteReport,
+    purge,
+    loadReportFromHash,
+    loadReportFile,
+    loadReport,
+  };
+}
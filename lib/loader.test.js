@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createReportLoader } from './loader.js';
+import { createReportCache } from './report-cache.js';
+import { createLhr, createMemorySources } from '../test/helpers.js';
+
+test('concurrent loads of one report share a fetch', async () => {
+  const sources = createMemorySources({ a: createLhr() }, { delayMs: 20 });
+  const loader = createReportLoader({ sources, cache: createReportCache() });
+
+  const reports = await Promise.all(Array.from({ length: 5 }, () => loader.loadRemoteReport('test://a/report.json')));
+  assert.equal(sources.provider.fetches.get('test://a/report.json'), 1);
+  assert.ok(reports.every(report => report === reports[0]));
+
+  // Later loads come from the cache
+  await loader.loadRemoteReport('test://a/report.json');
+  assert.equal(sources.provider.fetches.get('test://a/report.json'), 1);
+});
+
+test('concurrent loads share a fetch without a cache, and its failure', async () => {
+  const sources = createMemorySources({}, { delayMs: 20 });
+  const loader = createReportLoader({ sources, cache: null });
+
+  const results = await Promise.allSettled([1, 2, 3].map(() => loader.loadRemoteReport('test://missing/report.json')));
+  assert.ok(results.every(result => result.status === 'rejected' && result.reason.status === 404));
+  assert.equal(sources.provider.fetches.get('test://missing/report.json'), 1);
+
+  // Failed loads aren't remembered
+  await assert.rejects(loader.loadRemoteReport('test://missing/report.json'));
+  assert.equal(sources.provider.fetches.get('test://missing/report.json'), 2);
+});
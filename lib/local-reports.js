@@ -0,0 +1,208 @@
+// A directory of local reports, listed on an index page with each report's
+// URL, fetch time, Lighthouse version and category scores. The directory is
+// read on every request, so reports that are added, replaced or removed show up
+// without a restart; a file is only parsed again when its size or mtime changes.
+
+import fs from 'fs';
+import path from 'path';
+import { escapeHtml, renderPage } from './html.js';
+import {
+  PASS_THRESHOLD,
+  AVERAGE_THRESHOLD,
+  isFlowResult,
+  getLighthouseVersion,
+  getReportUrl,
+  getCategories,
+  formatScore,
+} from './lhr.js';
+
+export const REPORT_FILE_PATTERN = /\.json(\.gz|\.br)?$/;
+
+// loader: see lib/loader.js, used to read and validate the reports
+export function createLocalReports({ dir, loader }) {
+  // File name -> { mtimeMs, size, summary }
+  const summaries = new Map();
+
+  // Path of a report in the directory, or null. Only plain file names are
+  // accepted, so nothing outside the directory can be read.
+  function resolve(name) {
+    if (!REPORT_FILE_PATTERN.test(name) || name !== path.basename(name) || name.startsWith('.')) {
+      return null;
+    }
+
+    const filePath = path.join(dir, name);
+    return fs.existsSync(filePath) && fs.statSync(filePath).isFile() ? filePath : null;
+  }
+
+  async function summarize(name, stats) {
+    const summary = { name, size: stats.size, modifiedAt: stats.mtime };
+    try {
+      const report = await loader.loadReportFile(path.join(dir, name));
+      const lhr = isFlowResult(report) ? report.steps[0].lhr : report;
+
+      return {
+        ...summary,
+        url: getReportUrl(lhr),
+        fetchTime: lhr.fetchTime || null,
+        lighthouseVersion: getLighthouseVersion(report),
+        // Flows have scores per step, which don't fit the index
+        flow: isFlowResult(report) ? { name: report.name || null, steps: report.steps.length } : null,
+        categories: isFlowResult(report) ? [] : getCategories(lhr),
+        error: null,
+      };
+    } catch (error) {
+      return { ...summary, url: null, fetchTime: null, lighthouseVersion: null, flow: null, categories: [], error: error.message };
+    }
+  }
+
+  // Every report in the directory, newest fetch time first
+  async function list() {
+    let names;
+    try {
+      names = (await fs.promises.readdir(dir)).filter(name => REPORT_FILE_PATTERN.test(name) && !name.startsWith('.'));
+    } catch (error) {
+      throw new Error(`Could not read reports directory ${dir}: ${error.message}`);
+    }
+
+    for (const name of summaries.keys()) {
+      if (!names.includes(name)) {
+        summaries.delete(name);
+      }
+    }
+
+    // One at a time, large reports take a lot of memory while parsed
+    const entries = [];
+    for (const name of names) {
+      let stats;
+      try {
+        stats = await fs.promises.stat(path.join(dir, name));
+      } catch (error) {
+        // Removed while listing
+        continue;
+      }
+      if (!stats.isFile()) {
+        continue;
+      }
+
+      let cached = summaries.get(name);
+      if (!cached || cached.mtimeMs !== stats.mtimeMs || cached.size !== stats.size) {
+        cached = { mtimeMs: stats.mtimeMs, size: stats.size, summary: await summarize(name, stats) };
+        summaries.set(name, cached);
+      }
+      entries.push(cached.summary);
+    }
+
+    return entries.sort((a, b) => (b.fetchTime || '').localeCompare(a.fetchTime || '') || a.name.localeCompare(b.name));
+  }
+
+  return { dir, resolve, list };
+}
+
+function scoreClass(score) {
+  if (score === null || score === undefined) {
+    return 'muted';
+  }
+  if (score >= PASS_THRESHOLD) {
+    return 'score-pass';
+  }
+  return score >= AVERAGE_THRESHOLD ? 'score-average' : 'score-fail';
+}
+
+// entries: as returned by list(). Sorting and filtering happen in the browser.
+export function renderLocalReportsPage(entries, { dir }) {
+  // One column per category, in the order they first appear
+  const categories = [];
+  for (const entry of entries) {
+    for (const category of entry.categories) {
+      if (!categories.some(known => known.id === category.id)) {
+        categories.push({ id: category.id, title: category.title });
+      }
+    }
+  }
+
+  const rows = entries.map(entry => {
+    const link = `/local/${encodeURIComponent(entry.name)}`;
+    const fetchTime = entry.fetchTime ? new Date(entry.fetchTime) : null;
+    const scores = categories.map(({ id }) => {
+      const score = entry.categories.find(category => category.id === id)?.score ?? null;
+      return `<td class="num ${scoreClass(score)}" data-sort="${score ?? -1}">${formatScore(score)}</td>`;
+    }).join('');
+
+    const details = entry.error
+      ? `<span class="score-fail">${escapeHtml(entry.error)}</span>`
+      : `${escapeHtml(entry.url || 'Unknown URL')}${entry.flow ? ` <span class="muted">· user flow${entry.flow.name ? ` "${escapeHtml(entry.flow.name)}"` : ''}, ${entry.flow.steps} steps</span>` : ''}`;
+
+    return `
+          <tr>
+            <td data-sort="${escapeHtml(entry.name)}"><a href="${escapeHtml(link)}">${escapeHtml(entry.name)}</a></td>
+            <td data-sort="${escapeHtml(entry.url || '')}">${details}</td>
+            <td data-sort="${escapeHtml(entry.fetchTime || '')}">${fetchTime && !isNaN(fetchTime) ? escapeHtml(fetchTime.toLocaleString('en-US')) : '–'}</td>
+            <td data-sort="${escapeHtml(entry.lighthouseVersion || '')}">${entry.lighthouseVersion ? `<span class="version">v${escapeHtml(entry.lighthouseVersion)}</span>` : '–'}</td>${scores}
+          </tr>`;
+  }).join('');
+
+  const content = `
+    <h1>Lighthouse reports</h1>
+    <p class="muted">${entries.length} reports in <code>${escapeHtml(dir)}</code></p>
+    ${entries.length === 0 ? '<div class="card"><p class="muted">No .json, .json.gz or .json.br reports yet. New files show up when this page is reloaded.</p></div>' : `
+    <div class="card">
+      <input id="filter" type="search" placeholder="Filter by file, URL or version" autofocus>
+      <table id="reports">
+        <thead>
+          <tr>
+            <th data-type="text">Report</th>
+            <th data-type="text">URL</th>
+            <th data-type="text" aria-sort="descending">Fetched</th>
+            <th data-type="version">Version</th>
+            ${categories.map(category => `<th class="num" data-type="number">${escapeHtml(category.title)}</th>`).join('\n            ')}
+          </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </div>
+    <script>
+      const table = document.getElementById('reports');
+      const rows = Array.from(table.tBodies[0].rows);
+      let sorted = { column: 2, direction: -1 };
+
+      document.getElementById('filter').addEventListener('input', event => {
+        const terms = event.target.value.toLowerCase().split(/\\s+/).filter(Boolean);
+        for (const row of rows) {
+          const text = row.textContent.toLowerCase();
+          row.hidden = !terms.every(term => text.includes(term));
+        }
+      });
+
+      table.tHead.addEventListener('click', event => {
+        const header = event.target.closest('th');
+        if (!header) {
+          return;
+        }
+
+        const column = header.cellIndex;
+        const direction = sorted.column === column ? -sorted.direction : (header.dataset.type === 'number' ? -1 : 1);
+        sorted = { column, direction };
+
+        const value = row => row.cells[column].dataset.sort;
+        const compare = header.dataset.type === 'number'
+          ? (a, b) => Number(value(a)) - Number(value(b))
+          : (a, b) => value(a).localeCompare(value(b), 'en', { numeric: header.dataset.type === 'version' });
+
+        rows.sort((a, b) => compare(a, b) * direction).forEach(row => table.tBodies[0].appendChild(row));
+        for (const th of table.tHead.rows[0].cells) {
+          th.removeAttribute('aria-sort');
+        }
+        header.setAttribute('aria-sort', direction === 1 ? 'ascending' : 'descending');
+      });
+    </script>`}`;
+
+  return renderPage('Lighthouse reports', content, {
+    styles: `
+    #filter { width: 100%; box-sizing: border-box; padding: 0.5rem 0.75rem; margin-bottom: 0.75rem; border: 1px solid #dadce0; border-radius: 6px; }
+    #reports th { cursor: pointer; user-select: none; }
+    #reports th[aria-sort=ascending]::after { content: ' ▲'; }
+    #reports th[aria-sort=descending]::after { content: ' ▼'; }
+    #reports td { word-break: break-all; }`,
+  });
+}
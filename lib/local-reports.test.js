@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { createLocalReports, renderLocalReportsPage } from './local-reports.js';
+import { createReportLoader } from './loader.js';
+import { createFlow, createLhr, createTempDir, startServer } from '../test/helpers.js';
+
+function writeReport(dir, name, report) {
+  const json = JSON.stringify(report);
+  fs.writeFileSync(path.join(dir, name), name.endsWith('.gz') ? zlib.gzipSync(json) : json);
+}
+
+test('lists reports newest first, with flows and broken reports', async t => {
+  const dir = createTempDir(t);
+  writeReport(dir, 'old.json', { ...createLhr({ scores: { performance: 0.4 } }), fetchTime: '2024-01-01T00:00:00.000Z' });
+  writeReport(dir, 'new.json.gz', createLhr({ url: 'https://example.org/' }));
+  writeReport(dir, 'flow.json', createFlow());
+  writeReport(dir, 'broken.json', { lighthouseVersion: '12.2.0' });
+  writeReport(dir, '.hidden.json', createLhr());
+  writeReport(dir, 'notes.txt', 'not a report');
+
+  const reports = createLocalReports({ dir, loader: createReportLoader({ cache: null }) });
+  const entries = await reports.list();
+
+  assert.deepEqual(entries.map(entry => entry.name), ['flow.json', 'new.json.gz', 'old.json', 'broken.json']);
+  assert.equal(entries[1].url, 'https://example.org/');
+  assert.deepEqual(entries[2].categories.map(({ id, score }) => [id, score]), [['performance', 0.4]]);
+  assert.deepEqual(entries[0].flow, { name: 'Checkout', steps: 1 });
+  assert.deepEqual(entries[0].categories, []);
+  assert.match(entries[3].error, /^Invalid Lighthouse report/);
+});
+
+test('parses a report again only when it changes', async t => {
+  const dir = createTempDir(t);
+  writeReport(dir, 'report.json', createLhr());
+  const loader = createReportLoader({ cache: null });
+  const loadReportFile = t.mock.method(loader, 'loadReportFile');
+  const reports = createLocalReports({ dir, loader });
+
+  await reports.list();
+  await reports.list();
+  assert.equal(loadReportFile.mock.callCount(), 1);
+
+  writeReport(dir, 'report.json', createLhr({ scores: { performance: 0.5 } }));
+  const later = new Date(Date.now() + 60 * 1000);
+  fs.utimesSync(path.join(dir, 'report.json'), later, later);
+  assert.equal((await reports.list())[0].categories[0].score, 0.5);
+  assert.equal(loadReportFile.mock.callCount(), 2);
+
+  fs.rmSync(path.join(dir, 'report.json'));
+  assert.deepEqual(await reports.list(), []);
+});
+
+test('only resolves report files inside the directory', async t => {
+  const dir = createTempDir(t);
+  writeReport(dir, 'report.json', createLhr());
+  writeReport(dir, '.hidden.json', createLhr());
+  fs.mkdirSync(path.join(dir, 'folder.json'));
+  const reports = createLocalReports({ dir, loader: createReportLoader({ cache: null }) });
+
+  assert.equal(reports.resolve('report.json'), path.join(dir, 'report.json'));
+  for (const name of ['../report.json', 'sub/report.json', '.hidden.json', 'folder.json', 'missing.json', 'report.txt']) {
+    assert.equal(reports.resolve(name), null, name);
+  }
+});
+
+test('the index page links and escapes every report', () => {
+  const entry = { name: 'a <b>.json', url: 'https://example.com/?q=<x>', fetchTime: null, lighthouseVersion: '12.2.0', flow: null, categories: [], error: null };
+  const html = renderLocalReportsPage([entry], { dir: '/reports' });
+
+  assert.match(html, /href="\/local\/a%20%3Cb%3E\.json">a &lt;b&gt;\.json<\/a>/);
+  assert.match(html, /https:\/\/example\.com\/\?q=&lt;x&gt;/);
+  assert.match(renderLocalReportsPage([], { dir: '/reports' }), /No \.json, \.json\.gz or \.json\.br reports yet/);
+});
+
+test('GET / lists the reports directory and /local/:name renders from it', async t => {
+  const reportsDir = createTempDir(t);
+  writeReport(reportsDir, 'report.json.gz', createLhr());
+  const { baseUrl } = await startServer(t, { reportsDir });
+
+  const entries = await (await fetch(`${baseUrl}/?format=json`)).json();
+  assert.deepEqual(entries.map(({ name, link }) => [name, link]), [['report.json.gz', '/local/report.json.gz']]);
+
+  const report = await fetch(`${baseUrl}/local/report.json.gz`);
+  assert.equal(report.status, 200);
+  assert.match(await report.text(), /window\.__LIGHTHOUSE_JSON__ = /);
+
+  assert.equal((await fetch(`${baseUrl}/local/..%2Freport.json.gz`)).status, 404);
+});
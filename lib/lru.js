@@ -0,0 +1,90 @@
+// Map bounded by entry count and total size, evicting the least recently used
+// entries first. Shared by the report cache (see lib/report-cache.js) and the
+// rendered output cache (see lib/render-cache.js). The newest entry is always
+// kept, even when it alone is larger than maxBytes.
+
+// onEvict(key, value) is called for entries evicted to make room, not for deleted ones
+export function createLru({ maxEntries = Infinity, maxBytes = Infinity, onEvict = null } = {}) {
+  // Map iteration order doubles as LRU order: oldest first
+  const entries = new Map();
+  let totalBytes = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    totalBytes -= entry.size;
+    entries.delete(key);
+    return entry;
+  }
+
+  function evict() {
+    for (const [oldestKey] of entries) {
+      if (entries.size <= 1 || (entries.size <= maxEntries && totalBytes <= maxBytes)) {
+        break;
+      }
+      const { value } = remove(oldestKey);
+      onEvict?.(oldestKey, value);
+    }
+  }
+
+  return {
+    get size() {
+      return entries.size;
+    },
+
+    get bytes() {
+      return totalBytes;
+    },
+
+    has(key) {
+      return entries.has(key);
+    },
+
+    // The value, made the most recently used one, or undefined
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    // The value without changing the LRU order, or undefined
+    peek(key) {
+      return entries.get(key)?.value;
+    },
+
+    set(key, value, size) {
+      remove(key);
+      entries.set(key, { value, size });
+      totalBytes += size;
+      evict();
+    },
+
+    // Update the size of an entry that grew or shrank since it was added
+    resize(key, size) {
+      const entry = entries.get(key);
+      if (entry) {
+        totalBytes += size - entry.size;
+        entry.size = size;
+        evict();
+      }
+    },
+
+    // Whether the key was there
+    delete(key) {
+      return remove(key) !== null;
+    },
+
+    // [key, value] pairs, oldest first; entries may be deleted while iterating
+    *entries() {
+      for (const [key, { value }] of entries) {
+        yield [key, value];
+      }
+    },
+  };
+}
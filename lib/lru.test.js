@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLru } from './lru.js';
+
+test('evicts the least recently used entries beyond maxEntries', () => {
+  const evicted = [];
+  const lru = createLru({ maxEntries: 2, onEvict: (key, value) => evicted.push([key, value]) });
+
+  lru.set('a', 1, 1);
+  lru.set('b', 2, 1);
+  assert.equal(lru.get('a'), 1);
+  lru.set('c', 3, 1);
+
+  assert.deepEqual([...lru.entries()], [['a', 1], ['c', 3]]);
+  assert.deepEqual(evicted, [['b', 2]]);
+});
+
+test('evicts beyond maxBytes but keeps the newest entry', () => {
+  const lru = createLru({ maxBytes: 10 });
+
+  lru.set('a', 'a', 4);
+  lru.set('b', 'b', 4);
+  assert.equal(lru.bytes, 8);
+  lru.resize('a', 7);
+  assert.deepEqual([...lru.entries()], [['b', 'b']]);
+
+  lru.set('huge', 'huge', 50);
+  assert.deepEqual([...lru.entries()], [['huge', 'huge']]);
+  assert.equal(lru.bytes, 50);
+});
+
+test('peek and delete leave the order alone and skip onEvict', () => {
+  const evicted = [];
+  const lru = createLru({ maxEntries: 2, onEvict: key => evicted.push(key) });
+
+  lru.set('a', 1, 1);
+  lru.set('b', 2, 1);
+  assert.equal(lru.peek('a'), 1);
+  assert.equal(lru.delete('b'), true);
+  assert.equal(lru.delete('b'), false);
+  lru.set('a', 10, 3);
+
+  assert.equal(lru.size, 1);
+  assert.equal(lru.bytes, 3);
+  assert.equal(lru.get('missing'), undefined);
+  assert.deepEqual(evicted, []);
+});
@@ -0,0 +1,206 @@
+// Prometheus metrics for the server, served by /metrics in the text exposition
+// format. Small enough to not need a client library: counters and histograms
+// with labels, plus values read from the report cache when scraped.
+
+const FETCH_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const RENDER_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const INSTALL_BUCKETS = [5, 10, 30, 60, 120, 300, 600];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function createCounter(name, help) {
+  const values = new Map();
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = JSON.stringify(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(JSON.parse(key))} ${value}`);
+      }
+      return lines;
+    },
+  };
+}
+
+function createHistogram(name, help, buckets) {
+  const series = new Map();
+
+  return {
+    observe(labels, value) {
+      const key = JSON.stringify(labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, { counts, sum, count }] of series) {
+        const labels = JSON.parse(key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// A single value without labels, read when scraped
+function renderValue(name, help, value, type = 'gauge') {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${value}`];
+}
+
+// How a render deviated from the report's own version: a major alias
+// (lighthouse-v12), the default lighthouse package, or another exact alias
+function fallbackKind(packageName) {
+  if (packageName === 'lighthouse') {
+    return 'default';
+  }
+  return /^lighthouse-v\d+$/.test(packageName) ? 'major' : 'closest';
+}
+
+// Install counters and durations from installer.stats(); no samples without an installer
+function renderInstalls(installer) {
+  const attempts = createCounter('lighthouse_install_attempts_total', 'Lighthouse version installs started.');
+  const failures = createCounter('lighthouse_install_failures_total', 'Lighthouse version installs that failed.');
+  const duration = createHistogram('lighthouse_install_duration_seconds', 'Time taken by Lighthouse version installs, by outcome.', INSTALL_BUCKETS);
+
+  if (installer) {
+    const stats = installer.stats();
+    attempts.inc({}, stats.attempts);
+    failures.inc({}, stats.finished.filter(({ state }) => state === 'failed').length);
+    for (const { state, seconds } of stats.finished) {
+      duration.observe({ outcome: state === 'done' ? 'success' : 'failure' }, seconds);
+    }
+  }
+
+  return [...attempts.render(), ...failures.render(), ...duration.render()];
+}
+
+export function createMetrics() {
+  const renderDuration = createHistogram('lighthouse_render_duration_seconds', 'Time to render a report, by rendering Lighthouse version and format.', RENDER_BUCKETS);
+  const renderErrors = createCounter('lighthouse_render_errors_total', 'Reports that failed to render, by rendering Lighthouse version.');
+  const fallbacks = createCounter('lighthouse_version_fallbacks_total', 'Reports rendered with another package than their exact version, by kind (major, default, closest).');
+  const fetchDuration = createHistogram('lighthouse_report_fetch_duration_seconds', 'Time to fetch and parse a remote report, by source type.', FETCH_BUCKETS);
+  const fetchErrors = createCounter('lighthouse_report_fetch_errors_total', 'Failed remote report fetches, by source type and HTTP status of the error.');
+  const workerExits = createCounter('lighthouse_render_worker_exits_total', 'Render workers that stopped, by reason (idle, evicted, timeout, memory, crash, closed).');
+  let cache = null;
+  let installer = null;
+  let renderPool = null;
+  let renderCache = null;
+
+  return {
+    // packageName and version are what the report was rendered with
+    observeRender({ reportVersion, packageName, version, format }, seconds) {
+      renderDuration.observe({ version, format }, seconds);
+      if (packageName !== `lighthouse-v${reportVersion}`) {
+        fallbacks.inc({ kind: fallbackKind(packageName) });
+      }
+    },
+
+    renderFailed(version) {
+      renderErrors.inc({ version });
+    },
+
+    // source: the provider name, or "none" when no provider accepted the URL
+    observeFetch(source, seconds, error = null) {
+      fetchDuration.observe({ source }, seconds);
+      if (error) {
+        fetchErrors.inc({ source, status: error.status || error.$metadata?.httpStatusCode || 500 });
+      }
+    },
+
+    // Installs are read from the installer when scraped, see lib/installer.js. It is shared
+    // by every server installing into the same directory, so listeners would pile up on it.
+    watchInstaller(watchedInstaller) {
+      installer = watchedInstaller;
+    },
+
+    // Worker exits are counted as they happen, running workers are read when scraped; see lib/render-pool.js
+    watchRenderPool(pool) {
+      renderPool = pool;
+      pool.events.on('exit', ({ reason }) => workerExits.inc({ reason }));
+    },
+
+    // Rendered output cache statistics are read when scraped, see lib/render-cache.js
+    watchRenderCache(outputCache) {
+      renderCache = outputCache;
+    },
+
+    // Report cache statistics are read when scraped, see lib/report-cache.js
+    watchCache(reportCache) {
+      cache = reportCache;
+    },
+
+    render() {
+      const lines = [
+        ...renderDuration.render(),
+        ...renderErrors.render(),
+        ...fallbacks.render(),
+        ...fetchDuration.render(),
+        ...fetchErrors.render(),
+        ...renderInstalls(installer),
+        ...workerExits.render(),
+      ];
+
+      if (renderPool) {
+        const { workers, waiting } = renderPool.stats();
+        lines.push(
+          ...renderValue('lighthouse_render_workers', 'Running render workers, one per loaded Lighthouse package.', workers.length),
+          ...renderValue('lighthouse_render_workers_busy', 'Render workers rendering a report right now.', workers.filter(worker => worker.busy).length),
+          ...renderValue('lighthouse_render_waiting', 'Renders waiting for a free render worker.', waiting),
+        );
+      }
+
+      if (cache) {
+        const { entries, bytes, hits, misses, stale } = cache.stats();
+        const lookups = hits + misses + stale;
+        lines.push(
+          ...renderValue('lighthouse_report_cache_hits_total', 'Remote report cache lookups served from the cache.', hits, 'counter'),
+          ...renderValue('lighthouse_report_cache_misses_total', 'Remote report cache lookups that found nothing.', misses, 'counter'),
+          ...renderValue('lighthouse_report_cache_stale_total', 'Remote report cache lookups that found an expired entry to revalidate with its source.', stale, 'counter'),
+          ...renderValue('lighthouse_report_cache_hit_ratio', 'Share of remote report cache lookups served from the cache without asking the source.', lookups > 0 ? hits / lookups : 0),
+          ...renderValue('lighthouse_report_cache_entries', 'Reports in the remote report cache.', entries),
+          ...renderValue('lighthouse_report_cache_bytes', 'Size of the reports in the remote report cache.', bytes),
+        );
+      }
+
+      if (renderCache) {
+        const { entries, bytes, hits, misses } = renderCache.stats();
+        lines.push(
+          ...renderValue('lighthouse_render_cache_hits_total', 'Renders served from the rendered output cache.', hits, 'counter'),
+          ...renderValue('lighthouse_render_cache_misses_total', 'Renders not found in the rendered output cache.', misses, 'counter'),
+          ...renderValue('lighthouse_render_cache_entries', 'Outputs in the rendered output cache.', entries),
+          ...renderValue('lighthouse_render_cache_bytes', 'Size of the rendered output cache, compressed variants included.', bytes),
+        );
+      }
+
+      return `${lines.join('\n')}\n`;
+    },
+  };
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics } from './metrics.js';
+import { createReportCache } from './report-cache.js';
+import { createLhr } from '../test/helpers.js';
+
+test('renders durations, fallbacks and fetch errors in the text format', () => {
+  const metrics = createMetrics();
+  metrics.observeRender({ reportVersion: '12.2.0', packageName: 'lighthouse-v12.2.0', version: '12.2.0', format: 'html' }, 0.02);
+  metrics.observeRender({ reportVersion: '11.0.0', packageName: 'lighthouse-v11', version: '11.7.1', format: 'html' }, 0.2);
+  metrics.observeFetch('http', 0.3, Object.assign(new Error('Not Found'), { status: 404 }));
+  metrics.observeFetch('s3', 0.1, { $metadata: { httpStatusCode: 403 } });
+
+  const text = metrics.render();
+  assert.match(text, /^# TYPE lighthouse_render_duration_seconds histogram$/m);
+  assert.match(text, /^lighthouse_render_duration_seconds_bucket\{version="12\.2\.0",format="html",le="0\.025"\} 1$/m);
+  assert.match(text, /^lighthouse_render_duration_seconds_count\{version="11\.7\.1",format="html"\} 1$/m);
+  assert.match(text, /^lighthouse_version_fallbacks_total\{kind="major"\} 1$/m);
+  assert.match(text, /^lighthouse_report_fetch_errors_total\{source="http",status="404"\} 1$/m);
+  assert.match(text, /^lighthouse_report_fetch_errors_total\{source="s3",status="403"\} 1$/m);
+  assert.ok(text.endsWith('\n'));
+});
+
+test('reads installs from the installer when scraped', () => {
+  const metrics = createMetrics();
+  const installs = { attempts: 2, finished: [{ state: 'done', seconds: 20 }] };
+  metrics.watchInstaller({ stats: () => installs });
+
+  assert.match(metrics.render(), /^lighthouse_install_attempts_total 2$/m);
+  installs.finished.push({ state: 'failed', seconds: 3 });
+
+  const text = metrics.render();
+  assert.match(text, /^lighthouse_install_failures_total 1$/m);
+  assert.match(text, /^lighthouse_install_duration_seconds_bucket\{outcome="success",le="30"\} 1$/m);
+  assert.match(text, /^lighthouse_install_duration_seconds_count\{outcome="failure"\} 1$/m);
+});
+
+test('counts expired report cache entries as stale, not as hits', () => {
+  const metrics = createMetrics();
+  const cache = createReportCache({ ttlMs: 60 * 1000 });
+  metrics.watchCache(cache);
+
+  cache.set('fresh', createLhr());
+  cache.set('expired', createLhr()).validatedAt -= 2 * 60 * 1000;
+  cache.get('fresh');
+  cache.get('expired');
+  cache.get('missing');
+
+  const text = metrics.render();
+  assert.match(text, /^lighthouse_report_cache_hits_total 1$/m);
+  assert.match(text, /^lighthouse_report_cache_stale_total 1$/m);
+  assert.match(text, /^lighthouse_report_cache_misses_total 1$/m);
+  assert.match(text, /^lighthouse_report_cache_hit_ratio 0\.333/m);
+});
+
+test('escapes label values', () => {
+  const metrics = createMetrics();
+  metrics.renderFailed('1.0.0"\n\\');
+
+  assert.match(metrics.render(), /^lighthouse_render_errors_total\{version="1\.0\.0\\"\\n\\\\"\} 1$/m);
+});
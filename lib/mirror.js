@@ -0,0 +1,71 @@
+// Local package mirror for air-gapped hosts.
+//
+// The mirror is an npm cache directory holding the Lighthouse tarballs and all of
+// their dependency tarballs and registry metadata. It is populated on a machine
+// with internet access (`node install-versions.js --populate-mirror ...`), copied
+// to the offline hosts, and used there with `npm install --offline --cache <mirror>`,
+// so npm never touches the network. `mirror.json` records which versions it holds.
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const MANIFEST_FILE = 'mirror.json';
+
+export const npmCommand = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+
+// Extra npm install arguments to install from the mirror instead of the registry
+export function mirrorInstallArgs(mirrorDir) {
+  return mirrorDir ? ['--offline', '--cache', mirrorDir] : [];
+}
+
+export function readMirrorManifest(mirrorDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(mirrorDir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    return { versions: [], updatedAt: null };
+  }
+}
+
+// Download the given versions ("12.6.1", or "12" for the latest 12.x) and their
+// dependencies into the mirror. Returns the versions that failed.
+export function populateMirror(mirrorDir, versions) {
+  fs.mkdirSync(mirrorDir, { recursive: true });
+
+  // Install into a throwaway project: only the cache it fills is kept
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lighthouse-mirror-'));
+  fs.writeFileSync(path.join(workDir, 'package.json'), JSON.stringify({ name: 'lighthouse-mirror', private: true }));
+
+  const manifest = readMirrorManifest(mirrorDir);
+  const failed = [];
+
+  try {
+    for (const version of versions) {
+      // Use the same alias spec as the installer so npm caches exactly what it will ask for
+      const aliasName = `lighthouse-v${version}`;
+      console.log(`📦 Adding Lighthouse v${version} to mirror ${mirrorDir}...`);
+
+      try {
+        execFileSync(npmCommand, ['install', `${aliasName}@npm:lighthouse@${version}`, '--cache', mirrorDir, '--no-audit', '--no-fund', '--ignore-scripts'], {
+          cwd: workDir,
+          stdio: 'inherit',
+        });
+
+        const installedVersion = JSON.parse(fs.readFileSync(path.join(workDir, 'node_modules', aliasName, 'package.json'), 'utf8')).version;
+        manifest.versions = [...new Set([...manifest.versions, version, installedVersion])];
+        console.log(`✅ Mirrored Lighthouse v${installedVersion}`);
+      } catch (error) {
+        console.error(`❌ Failed to mirror Lighthouse v${version}:`, error.message);
+        failed.push(version);
+      }
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(path.join(mirrorDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+  return failed;
+}
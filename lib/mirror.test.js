@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { mirrorInstallArgs, readMirrorManifest, populateMirror } from './mirror.js';
+import { createTempDir } from '../test/helpers.js';
+
+const INSTALL_VERSIONS = fileURLToPath(new URL('../install-versions.js', import.meta.url));
+
+function writeManifest(mirrorDir, versions) {
+  fs.writeFileSync(path.join(mirrorDir, 'mirror.json'), JSON.stringify({ versions, updatedAt: '2024-01-31T12:00:00.000Z' }));
+}
+
+test('installs from a mirror never touch the network', () => {
+  assert.deepEqual(mirrorInstallArgs('/opt/mirror'), ['--offline', '--cache', '/opt/mirror']);
+  assert.deepEqual(mirrorInstallArgs(null), []);
+});
+
+test('readMirrorManifest lists the mirrored versions, or none', t => {
+  const mirrorDir = createTempDir(t);
+
+  assert.deepEqual(readMirrorManifest(mirrorDir), { versions: [], updatedAt: null });
+  writeManifest(mirrorDir, ['12', '12.8.0']);
+  assert.deepEqual(readMirrorManifest(mirrorDir).versions, ['12', '12.8.0']);
+});
+
+test('populateMirror returns the versions it could not mirror and keeps the others', t => {
+  // Offline with an empty cache, so npm fails without going to the registry
+  const previous = process.env.npm_config_offline;
+  process.env.npm_config_offline = 'true';
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.npm_config_offline;
+    } else {
+      process.env.npm_config_offline = previous;
+    }
+  });
+  const mirrorDir = createTempDir(t);
+  writeManifest(mirrorDir, ['11.7.1']);
+
+  assert.deepEqual(populateMirror(mirrorDir, ['12.9.9']), ['12.9.9']);
+  const manifest = readMirrorManifest(mirrorDir);
+  assert.deepEqual(manifest.versions, ['11.7.1']);
+  assert.notEqual(manifest.updatedAt, '2024-01-31T12:00:00.000Z');
+});
+
+test('install-versions.js --list shows the mirrored versions', t => {
+  const mirrorDir = createTempDir(t);
+  writeManifest(mirrorDir, ['12', '12.8.0']);
+
+  const output = execFileSync(process.execPath, [INSTALL_VERSIONS, '--list'], {
+    cwd: createTempDir(t),
+    env: { ...process.env, LIGHTHOUSE_MIRROR_DIR: mirrorDir },
+    encoding: 'utf8',
+  });
+  assert.ok(output.includes(`Versions in mirror ${mirrorDir}:\n  12, 12.8.0\n`), output);
+});
@@ -0,0 +1,84 @@
+// Bounded LRU cache of rendered output, keyed by what the output depends on:
+// the report's content, the Lighthouse package rendering it and the format
+// (see outputKey in lib/renderer.js). With precompress, gzip and brotli
+// variants are made once when an entry is added, for clients that accept them.
+
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { createLru } from './lru.js';
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+export const OUTPUT_ENCODINGS = ['br', 'gzip'];
+
+function compress(output, encoding) {
+  const input = Buffer.from(output, 'utf8');
+  return encoding === 'br'
+    ? brotliCompress(input, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9, [zlib.constants.BROTLI_PARAM_SIZE_HINT]: input.length } })
+    : gzip(input, { level: 9 });
+}
+
+export function createRenderCache({
+  maxEntries = 100,
+  maxBytes = 100 * 1024 * 1024,
+  precompress = false,
+} = {}) {
+  const entries = createLru({ maxEntries, maxBytes });
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    precompress,
+
+    // Returns { output, packageName, size, variants } or undefined
+    get(key) {
+      const entry = entries.get(key);
+      if (entry) {
+        hits++;
+      } else {
+        misses++;
+      }
+      return entry;
+    },
+
+    set(key, output, { packageName }) {
+      const entry = { output, packageName, size: Buffer.byteLength(output), variants: {} };
+      entries.set(key, entry, entry.size);
+
+      if (precompress) {
+        for (const encoding of OUTPUT_ENCODINGS) {
+          entry.variants[encoding] = compress(output, encoding).then(buffer => {
+            // Count the variant unless the entry was evicted meanwhile
+            if (entries.peek(key) === entry) {
+              entry.size += buffer.length;
+              entries.resize(key, entry.size);
+            }
+            return buffer;
+          });
+          entry.variants[encoding].catch(error => console.error(`Failed to compress rendered output (${encoding}):`, error.message));
+        }
+      }
+
+      return entry;
+    },
+
+    // The output compressed with encoding (br or gzip); null without precompress
+    async encoded(entry, encoding) {
+      return entry.variants[encoding] ? await entry.variants[encoding] : null;
+    },
+
+    // Drop everything a package rendered, e.g. after it was reinstalled or removed
+    forgetPackage(packageName) {
+      for (const [key, entry] of entries.entries()) {
+        if (entry.packageName === packageName) {
+          entries.delete(key);
+        }
+      }
+    },
+
+    stats() {
+      return { entries: entries.size, bytes: entries.bytes, maxEntries, maxBytes, hits, misses };
+    },
+  };
+}
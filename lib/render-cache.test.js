@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { createRenderCache } from './render-cache.js';
+
+test('keeps the most recently used outputs within maxEntries', () => {
+  const cache = createRenderCache({ maxEntries: 2 });
+
+  cache.set('a', 'A', { packageName: 'lighthouse-v12' });
+  cache.set('b', 'B', { packageName: 'lighthouse-v12' });
+  cache.get('a');
+  cache.set('c', 'C', { packageName: 'lighthouse-v12' });
+
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.get('a').output, 'A');
+  assert.deepEqual(cache.stats(), { entries: 2, bytes: 2, maxEntries: 2, maxBytes: 100 * 1024 * 1024, hits: 2, misses: 1 });
+});
+
+test('forgets everything a package rendered', () => {
+  const cache = createRenderCache();
+
+  cache.set('a', 'A', { packageName: 'lighthouse-v11' });
+  cache.set('b', 'B', { packageName: 'lighthouse-v12' });
+  cache.forgetPackage('lighthouse-v11');
+
+  assert.equal(cache.get('a'), undefined);
+  assert.equal(cache.get('b').output, 'B');
+});
+
+test('counts precompressed variants against maxBytes', async () => {
+  const output = 'report '.repeat(1000);
+  const cache = createRenderCache({ precompress: true });
+
+  const entry = cache.set('a', output, { packageName: 'lighthouse-v12' });
+  const gzip = await cache.encoded(entry, 'gzip');
+  const br = await cache.encoded(entry, 'br');
+
+  assert.equal(zlib.gunzipSync(gzip).toString(), output);
+  assert.equal(cache.stats().bytes, output.length + gzip.length + br.length);
+});
@@ -0,0 +1,233 @@
+// Pool of worker threads rendering reports, one per Lighthouse package. Each
+// version's report code is loaded into its own worker instead of the main
+// process, so it is unloaded again when the worker goes, and a generator that
+// throws, hangs or leaks can't take the server down with it:
+//
+// - a render taking longer than timeoutMs terminates its worker (504)
+// - workers are limited to maxMemoryMb of heap and crash when they need more
+// - a worker that crashes fails only the render it was running; renders queued
+//   behind it start on a fresh worker
+// - workers idle for idleMs are stopped, and at most maxWorkers run at once:
+//   the least recently used idle worker makes room for a new one, or the
+//   render waits until a worker is free
+//
+// A worker renders one report at a time. `events` emits `start` and `exit` with
+// { packageName, reason }, reason being idle, evicted, timeout, memory, crash or closed.
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { EventEmitter } from 'events';
+
+const WORKER_URL = new URL('./render-worker.js', import.meta.url);
+
+// Defaults sized for small hosts: a core is left to the server, and even the most
+// workers only take about 1 GB of heap together
+export const DEFAULT_MAX_WORKERS = Math.min(4, Math.max(1, os.availableParallelism() - 1));
+export const DEFAULT_MAX_MEMORY_MB = 256;
+
+function renderError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+export function createRenderPool({
+  nodeModulesDir,
+  timeoutMs = 30 * 1000,
+  maxMemoryMb = DEFAULT_MAX_MEMORY_MB,
+  idleMs = 5 * 60 * 1000,
+  maxWorkers = DEFAULT_MAX_WORKERS,
+}) {
+  // Package name -> { packageName, version, worker, queue, active, timer, idleTimer, lastUsedAt, stopReason, error }
+  const workers = new Map();
+  // Renders waiting for a free worker slot
+  const waiting = [];
+  const events = new EventEmitter();
+  let nextId = 1;
+  let closed = false;
+
+  function startWorker(packageName, version) {
+    const worker = new Worker(WORKER_URL, {
+      workerData: { nodeModulesDir, packageName, version },
+      resourceLimits: { maxOldGenerationSizeMb: maxMemoryMb },
+    });
+    const entry = { packageName, version, worker, queue: [], active: null, timer: null, idleTimer: null, lastUsedAt: Date.now(), stopReason: null, error: null };
+
+    worker.on('message', message => finish(entry, message));
+    // Always followed by `exit`
+    worker.on('error', error => {
+      entry.error = error;
+    });
+    worker.on('exit', exitCode => exited(entry, exitCode));
+
+    workers.set(packageName, entry);
+    events.emit('start', { packageName });
+    return entry;
+  }
+
+  function stop(entry, reason) {
+    entry.stopReason = reason;
+    clearTimeout(entry.timer);
+    clearTimeout(entry.idleTimer);
+    if (workers.get(entry.packageName) === entry) {
+      workers.delete(entry.packageName);
+    }
+    entry.worker.terminate();
+  }
+
+  // Send the next queued render to the worker, or let it idle
+  function next(entry) {
+    clearTimeout(entry.idleTimer);
+    if (entry.active || entry.stopReason) {
+      return;
+    }
+
+    const job = entry.queue.shift();
+    if (!job) {
+      // Idle workers don't keep CLIs alive
+      entry.worker.unref();
+      entry.idleTimer = setTimeout(() => stop(entry, 'idle'), idleMs);
+      entry.idleTimer.unref();
+      dispatchWaiting();
+      return;
+    }
+
+    entry.active = job;
+    entry.worker.ref();
+    entry.timer = setTimeout(() => stop(entry, 'timeout'), timeoutMs);
+    entry.worker.postMessage({ id: job.id, report: job.report, format: job.format });
+  }
+
+  function finish(entry, { id, output, error }) {
+    const job = entry.active;
+    if (!job || job.id !== id) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    entry.active = null;
+    entry.lastUsedAt = Date.now();
+
+    if (error) {
+      job.reject(renderError(error.message, error.status, error.code));
+    } else {
+      job.resolve(output);
+    }
+    next(entry);
+  }
+
+  function exited(entry, exitCode) {
+    clearTimeout(entry.timer);
+    clearTimeout(entry.idleTimer);
+    if (workers.get(entry.packageName) === entry) {
+      workers.delete(entry.packageName);
+    }
+
+    const reason = entry.stopReason || (entry.error?.code === 'ERR_WORKER_OUT_OF_MEMORY' ? 'memory' : 'crash');
+    events.emit('exit', { packageName: entry.packageName, reason });
+
+    if (entry.active) {
+      const { packageName } = entry;
+      if (reason === 'timeout') {
+        console.error(`Rendering with ${packageName} timed out after ${timeoutMs} ms, worker stopped`);
+        entry.active.reject(renderError(`Rendering with ${packageName} took longer than ${timeoutMs} ms`, 504, 'RENDER_TIMEOUT'));
+      } else if (reason === 'memory') {
+        console.error(`Render worker for ${packageName} ran out of memory`);
+        entry.active.reject(renderError(`Rendering with ${packageName} ran out of memory (limit ${maxMemoryMb} MB)`, 500, 'RENDER_OUT_OF_MEMORY'));
+      } else if (reason === 'closed') {
+        entry.active.reject(renderError('The render pool was closed', 503, 'RENDER_POOL_CLOSED'));
+      } else {
+        const details = entry.error?.message || `exit code ${exitCode}`;
+        console.error(`Render worker for ${packageName} crashed: ${details}`);
+        entry.active.reject(renderError(`Rendering with ${packageName} failed: the renderer crashed (${details})`, 500, 'RENDER_CRASHED'));
+      }
+    }
+
+    // Renders queued behind the one that failed start over on a fresh worker
+    for (const job of entry.queue) {
+      dispatch(job);
+    }
+    dispatchWaiting();
+  }
+
+  // Stop the least recently used idle worker; false if every worker is busy
+  function evictIdleWorker() {
+    const idle = [...workers.values()]
+      .filter(entry => !entry.active && entry.queue.length === 0)
+      .sort((a, b) => a.lastUsedAt - b.lastUsedAt)[0];
+    if (!idle) {
+      return false;
+    }
+
+    stop(idle, 'evicted');
+    return true;
+  }
+
+  function dispatch(job) {
+    if (closed) {
+      job.reject(renderError('The render pool was closed', 503, 'RENDER_POOL_CLOSED'));
+      return;
+    }
+
+    let entry = workers.get(job.packageName);
+    if (!entry) {
+      if (workers.size >= maxWorkers && !evictIdleWorker()) {
+        waiting.push(job);
+        return;
+      }
+      entry = startWorker(job.packageName, job.version);
+    }
+
+    entry.queue.push(job);
+    next(entry);
+  }
+
+  function dispatchWaiting() {
+    for (const job of waiting.splice(0)) {
+      dispatch(job);
+    }
+  }
+
+  return {
+    events,
+
+    // resolved: { packageName, version } to render with. Resolves to the
+    // generator's output, see generateOutput in lib/report-generator.js.
+    render(resolved, report, format) {
+      return new Promise((resolve, reject) => {
+        dispatch({ id: nextId++, packageName: resolved.packageName, version: resolved.version, report, format, resolve, reject });
+      });
+    },
+
+    stats() {
+      return {
+        workers: [...workers.values()].map(entry => ({
+          packageName: entry.packageName,
+          busy: Boolean(entry.active),
+          queued: entry.queue.length,
+          lastUsedAt: new Date(entry.lastUsedAt),
+        })),
+        waiting: waiting.length,
+        maxWorkers,
+      };
+    },
+
+    // Stop every worker and fail the renders that haven't finished
+    async close() {
+      closed = true;
+      for (const job of waiting.splice(0)) {
+        job.reject(renderError('The render pool was closed', 503, 'RENDER_POOL_CLOSED'));
+      }
+
+      const exits = [...workers.values()].map(entry => new Promise(resolve => {
+        entry.worker.once('exit', resolve);
+        for (const job of entry.queue.splice(0)) {
+          job.reject(renderError('The render pool was closed', 503, 'RENDER_POOL_CLOSED'));
+        }
+        stop(entry, 'closed');
+      }));
+      await Promise.all(exits);
+    },
+  };
+}
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import { createRenderPool, DEFAULT_MAX_MEMORY_MB, DEFAULT_MAX_WORKERS } from './render-pool.js';
+import { configFromEnv } from './config.js';
+import { createFakePackage, createLhr, createTempDir } from '../test/helpers.js';
+
+function createNodeModules(t, packageNames) {
+  const nodeModulesDir = createTempDir(t);
+  for (const packageName of packageNames) {
+    createFakePackage(nodeModulesDir, packageName, packageName.replace('lighthouse-v', ''));
+  }
+  return nodeModulesDir;
+}
+
+function startPool(t, options) {
+  const pool = createRenderPool({ nodeModulesDir: createNodeModules(t, ['lighthouse-v1.0.0', 'lighthouse-v2.0.0']), ...options });
+  const exits = [];
+  pool.events.on('exit', ({ packageName, reason }) => exits.push(`${packageName} ${reason}`));
+  t.after(() => pool.close());
+  return { pool, exits };
+}
+
+const v1 = { packageName: 'lighthouse-v1.0.0', version: '1.0.0' };
+const v2 = { packageName: 'lighthouse-v2.0.0', version: '2.0.0' };
+
+test('renders in a worker per package and passes errors on', async t => {
+  const { pool } = startPool(t, { maxWorkers: 2 });
+
+  assert.equal(await pool.render(v1, createLhr({ url: 'one' }), 'csv'), 'csv:one');
+  assert.equal(await pool.render(v2, createLhr({ url: 'two' }), 'json'), 'json:two');
+  await assert.rejects(pool.render(v1, createLhr({ url: 'fail' }), 'csv'), { message: 'Cannot render', status: 422, code: 'BAD_REPORT' });
+  assert.deepEqual(pool.stats().workers.map(worker => worker.packageName), ['lighthouse-v1.0.0', 'lighthouse-v2.0.0']);
+});
+
+test('stops workers that hang or crash, and renders the next report on a fresh one', async t => {
+  const { pool, exits } = startPool(t, { timeoutMs: 200 });
+
+  const hanging = pool.render(v1, createLhr({ url: 'hang' }), 'csv');
+  const queued = pool.render(v1, createLhr({ url: 'after' }), 'csv');
+  await assert.rejects(hanging, { status: 504, code: 'RENDER_TIMEOUT' });
+  assert.equal(await queued, 'csv:after');
+
+  await assert.rejects(pool.render(v1, createLhr({ url: 'crash' }), 'csv'), { status: 500, code: 'RENDER_CRASHED' });
+  assert.equal(await pool.render(v1, createLhr({ url: 'again' }), 'csv'), 'csv:again');
+  assert.deepEqual(exits, ['lighthouse-v1.0.0 timeout', 'lighthouse-v1.0.0 crash']);
+});
+
+test('fails renders that need more than maxMemoryMb', async t => {
+  const { pool, exits } = startPool(t, { maxMemoryMb: 32 });
+
+  await assert.rejects(pool.render(v1, createLhr({ url: 'leak' }), 'csv'), { status: 500, code: 'RENDER_OUT_OF_MEMORY' });
+  assert.deepEqual(exits, ['lighthouse-v1.0.0 memory']);
+});
+
+test('runs at most maxWorkers, evicting idle ones, and stops idle workers', async t => {
+  const { pool, exits } = startPool(t, { maxWorkers: 1, idleMs: 100 });
+
+  await pool.render(v1, createLhr(), 'csv');
+  await pool.render(v2, createLhr(), 'csv');
+  assert.deepEqual(exits, ['lighthouse-v1.0.0 evicted']);
+  assert.equal(pool.stats().maxWorkers, 1);
+
+  await new Promise(resolve => setTimeout(resolve, 300));
+  assert.deepEqual(exits, ['lighthouse-v1.0.0 evicted', 'lighthouse-v2.0.0 idle']);
+  assert.deepEqual(pool.stats().workers, []);
+});
+
+test('closing fails unfinished renders', async t => {
+  const { pool } = startPool(t, { timeoutMs: 10 * 1000 });
+
+  const hanging = pool.render(v1, createLhr({ url: 'hang' }), 'csv');
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await pool.close();
+  await assert.rejects(hanging, { status: 503, code: 'RENDER_POOL_CLOSED' });
+  await assert.rejects(pool.render(v1, createLhr(), 'csv'), { code: 'RENDER_POOL_CLOSED' });
+});
+
+test('defaults leave a core to the server and keep worker heaps small', () => {
+  assert.equal(DEFAULT_MAX_WORKERS, Math.min(4, Math.max(1, os.availableParallelism() - 1)));
+  assert.equal(DEFAULT_MAX_MEMORY_MB, 256);
+
+  const { workers } = configFromEnv({ RENDER_WORKERS_MAX: '' });
+  assert.equal(workers.maxWorkers, DEFAULT_MAX_WORKERS);
+  assert.equal(workers.maxMemoryMb, DEFAULT_MAX_MEMORY_MB);
+});
@@ -0,0 +1,19 @@
+// Worker thread rendering reports with one Lighthouse package, started by
+// lib/render-pool.js. The package's report code only ever loads here, so it
+// is unloaded together with the worker.
+
+import { parentPort, workerData } from 'worker_threads';
+import { importReportGenerator, generateOutput } from './report-generator.js';
+
+const { nodeModulesDir, packageName, version } = workerData;
+const generator = importReportGenerator(nodeModulesDir, packageName);
+
+parentPort.on('message', async ({ id, report, format }) => {
+  try {
+    const output = generateOutput(await generator, report, format, version);
+    parentPort.postMessage({ id, output });
+  } catch (error) {
+    // Errors don't keep their status and code when posted
+    parentPort.postMessage({ id, error: { message: error.message, status: error.status, code: error.code } });
+  }
+});
@@ -0,0 +1,270 @@
+// Rendering reports with the Lighthouse version that generated them. Shared by
+// the server and export-report.js so both resolve, install and render versions
+// the same way.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { isFlowResult, getLighthouseVersion } from './lhr.js';
+import { escapeHtml } from './html.js';
+import { listInstalledVersions, resolveVersion } from './versions.js';
+import { getInstaller } from './installer.js';
+import { getUsageLog } from './usage.js';
+import { importReportGenerator, generateOutput } from './report-generator.js';
+import { createRenderPool } from './render-pool.js';
+import { createRenderCache } from './render-cache.js';
+
+// The package's own directory, where install-versions.js puts the lighthouse-v* aliases
+export const DEFAULT_ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Output formats supported by ReportGenerator.generateReport
+export const REPORT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+};
+
+// Output also depends on this package's own code, such as the version banner
+const SERVER_VERSION = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+
+// Content hashes of parsed reports; reports served from the report cache are the
+// same objects every time, so they are only hashed once
+const contentHashes = new WeakMap();
+
+function contentHash(reportJson) {
+  if (!contentHashes.has(reportJson)) {
+    contentHashes.set(reportJson, crypto.createHash('sha256').update(JSON.stringify(reportJson)).digest('hex'));
+  }
+  return contentHashes.get(reportJson);
+}
+
+// Content types for assets inlined into standalone reports
+const ASSET_TYPES = {
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.woff2': 'font/woff2',
+};
+
+// Banner shown on top of reports rendered with a different version than they were generated with
+function renderVersionBanner(reportVersion, rendererVersion) {
+  return `<div style="position: relative; z-index: 1000; padding: 8px 16px; background: #fff8e1; color: #202124; border-bottom: 1px solid #f0d68a; font: 14px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; text-align: center;">
+    This report was generated by Lighthouse v${escapeHtml(reportVersion)}, which isn't installed. It is rendered with <strong>Lighthouse v${escapeHtml(rendererVersion)}</strong> instead, so some details may look different.
+  </div>`;
+}
+
+// rootDir: directory holding node_modules with the lighthouse-v* aliases.
+// installer: see lib/installer.js; missing versions are installed with it when autoInstall is set.
+// Defaults to the installer shared by everything installing into rootDir, using mirrorDir.
+// usage: see lib/usage.js, records when each package last rendered a report.
+// workers: render pool options (timeoutMs, maxMemoryMb, idleMs, maxWorkers), see
+// lib/render-pool.js; false renders in this process instead.
+// outputCache: rendered output cache options (maxEntries, maxBytes, precompress),
+// see lib/render-cache.js; false renders every request.
+export function createRenderer({
+  rootDir = DEFAULT_ROOT_DIR,
+  mirrorDir = null,
+  installer = getInstaller({ cwd: rootDir, mirrorDir }),
+  usage = getUsageLog(path.join(rootDir, 'node_modules', '.lighthouse-usage.json')),
+  versionPolicy = 'minor',
+  autoInstall = true,
+  workers = {},
+  outputCache = {},
+} = {}) {
+  const nodeModulesDir = path.join(rootDir, 'node_modules');
+  const pool = workers ? createRenderPool({ nodeModulesDir, ...workers }) : null;
+  const cache = outputCache ? createRenderCache(outputCache) : null;
+
+  // The stamp each package had when its cached output was rendered. Output of a
+  // reinstalled package is never served again (see outputKey), so it is freed once the
+  // new install renders. Checked here rather than by listening to the installer, which
+  // every renderer installing into rootDir shares.
+  const cachedStamps = new Map();
+
+  function isVersionInstalled(lighthouseVersion) {
+    return fs.existsSync(path.join(nodeModulesDir, `lighthouse-v${lighthouseVersion}`));
+  }
+
+  // Closest installed package allowed by the version policy: { packageName, version } or null
+  function resolveInstalledVersion(lighthouseVersion) {
+    const resolved = resolveVersion(lighthouseVersion, listInstalledVersions(nodeModulesDir), versionPolicy);
+
+    if (resolved && resolved.version !== lighthouseVersion) {
+      console.log(`Using Lighthouse v${resolved.version} (${resolved.packageName}) for a v${lighthouseVersion} report (policy: ${versionPolicy})`);
+    }
+
+    return resolved;
+  }
+
+  async function installVersion(lighthouseVersion) {
+    // Wait for the install job, joining one that is already running
+    if (autoInstall) {
+      await installer.install(lighthouseVersion).promise;
+    }
+
+    const resolved = resolveInstalledVersion(lighthouseVersion);
+    if (!resolved) {
+      throw new Error(`Lighthouse v${lighthouseVersion} is not installed and no installed version satisfies the "${versionPolicy}" policy`);
+    }
+
+    return resolved;
+  }
+
+  // Returns the package to render a version with: { packageName, version }
+  async function ensureVersionInstalled(lighthouseVersion) {
+    if (isVersionInstalled(lighthouseVersion)) {
+      return { packageName: `lighthouse-v${lighthouseVersion}`, version: lighthouseVersion };
+    }
+
+    return await installVersion(lighthouseVersion);
+  }
+
+  // Loads the package's report code into this process; rendering uses the workers instead
+  async function getReportGenerator(packageName) {
+    return await importReportGenerator(nodeModulesDir, packageName);
+  }
+
+  // Find a report asset for a version: exact alias, then major alias, then the default
+  // lighthouse package. Returns { assetPath, packageName } or null.
+  function resolveAsset(lighthouseVersion, file) {
+    const majorVersion = lighthouseVersion.split('.')[0];
+    const packageNames = [`lighthouse-v${lighthouseVersion}`, `lighthouse-v${majorVersion}`, 'lighthouse'];
+
+    for (const packageName of packageNames) {
+      const assetPath = path.join(nodeModulesDir, packageName, 'report', 'assets', file);
+      if (fs.existsSync(assetPath)) {
+        return { assetPath, packageName };
+      }
+    }
+
+    return null;
+  }
+
+  function resolveAssetPath(lighthouseVersion, file) {
+    return resolveAsset(lighthouseVersion, file)?.assetPath || null;
+  }
+
+  // Replace relative asset references with the asset contents, so the HTML works without the server
+  function inlineAssets(html, version) {
+    const readAsset = file => {
+      const assetPath = resolveAssetPath(version, path.basename(file));
+      if (!assetPath) {
+        throw new Error(`Report asset ${file} not found for Lighthouse v${version}`);
+      }
+      return fs.readFileSync(assetPath);
+    };
+
+    return html
+      .replace(/<script([^>]*)\ssrc="(?!https?:|data:|\/)([^"]*\.js)"([^>]*)><\/script>/g, (match, before, file, after) =>
+        `<script${before}${after}>${readAsset(file).toString('utf8').replace(/<\/script/gi, '<\\/script')}</script>`)
+      .replace(/<link[^>]*\shref="(?!https?:|data:|\/)([^"]*\.css)"[^>]*>/g, (match, file) =>
+        `<style>${readAsset(file).toString('utf8').replace(/<\/style/gi, '<\\/style')}</style>`)
+      .replace(/(src|href)="(?!https?:|data:|\/|#)([^"]*(\.svg|\.png|\.jpg|\.gif|\.woff2))"/g, (match, attribute, file, extension) =>
+        `${attribute}="data:${ASSET_TYPES[extension]};base64,${readAsset(file).toString('base64')}"`);
+  }
+
+  // Changes whenever the package is installed again, by this process or any other
+  function packageStamp(packageName) {
+    try {
+      return fs.statSync(path.join(nodeModulesDir, packageName, 'package.json')).mtimeMs;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Identifies the output of rendering a report: equal keys mean equal output, so
+  // the key doubles as a strong ETag. A changed report hashes differently, and a
+  // reinstalled package has a new stamp.
+  function outputKey(reportJson, resolved, format, { assetBaseUrl = '/assets', standalone = false } = {}) {
+    const parts = [SERVER_VERSION, contentHash(reportJson), resolved.packageName, packageStamp(resolved.packageName), format, standalone, standalone ? null : assetBaseUrl];
+    return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('base64url');
+  }
+
+  async function generate(reportJson, resolved, format, { assetBaseUrl = '/assets', standalone = false }) {
+    const reportVersion = getLighthouseVersion(reportJson);
+
+    if (isFlowResult(reportJson)) {
+      if (format === 'csv') {
+        const error = new Error('CSV export is not available for user-flow reports');
+        error.status = 400;
+        throw error;
+      }
+      if (format === 'json') {
+        return JSON.stringify(reportJson, null, 2);
+      }
+    }
+
+    usage.touch(resolved.packageName);
+    const output = pool
+      ? await pool.render(resolved, reportJson, format)
+      : generateOutput(await getReportGenerator(resolved.packageName), reportJson, format, resolved.version);
+
+    if (format !== 'html') {
+      return output;
+    }
+    let html = output;
+
+    if (standalone) {
+      html = inlineAssets(html, resolved.version);
+    } else {
+      // Point relative asset paths at the assets of the rendering version
+      html = html.replace(/src="(?!https?:|data:|\/)([^"]*\.(?:js|css))"/g, `src="${assetBaseUrl}/${resolved.version}/$1"`);
+      html = html.replace(/href="(?!https?:|data:|\/)([^"]*\.css)"/g, `href="${assetBaseUrl}/${resolved.version}/$1"`);
+    }
+
+    if (resolved.version !== reportVersion) {
+      html = html.replace(/<body[^>]*>/, match => match + renderVersionBanner(reportVersion, resolved.version));
+    }
+
+    return html;
+  }
+
+  // Render through the output cache. Resolves to { key, output, entry, cached };
+  // entry is the cache entry with its compressed variants, null without a cache.
+  async function renderOutput(reportJson, resolved, format, options = {}) {
+    const key = outputKey(reportJson, resolved, format, options);
+    const cached = cache?.get(key);
+    if (cached) {
+      usage.touch(resolved.packageName);
+      return { key, output: cached.output, entry: cached, cached: true };
+    }
+
+    const output = await generate(reportJson, resolved, format, options);
+    if (cache) {
+      const stamp = packageStamp(resolved.packageName);
+      if (cachedStamps.has(resolved.packageName) && cachedStamps.get(resolved.packageName) !== stamp) {
+        cache.forgetPackage(resolved.packageName);
+      }
+      cachedStamps.set(resolved.packageName, stamp);
+    }
+    const entry = cache ? cache.set(key, output, { packageName: resolved.packageName }) : null;
+    return { key, output, entry, cached: false };
+  }
+
+  // resolved: { packageName, version } of the installed Lighthouse package to render with.
+  // HTML references assets below assetBaseUrl, or embeds them with { standalone: true }.
+  async function renderReport(reportJson, resolved, format, options = {}) {
+    return (await renderOutput(reportJson, resolved, format, options)).output;
+  }
+
+  return {
+    nodeModulesDir,
+    versionPolicy,
+    autoInstall,
+    installer,
+    usage,
+    pool,
+    outputCache: cache,
+    isVersionInstalled,
+    resolveInstalledVersion,
+    ensureVersionInstalled,
+    getReportGenerator,
+    resolveAsset,
+    resolveAssetPath,
+    outputKey,
+    renderOutput,
+    renderReport,
+  };
+}
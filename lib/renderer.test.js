@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { createRenderer } from './renderer.js';
+import { getInstaller } from './installer.js';
+import { createFakePackage, createLhr, createTempDir } from '../test/helpers.js';
+
+const EXPORT_REPORT = fileURLToPath(new URL('../export-report.js', import.meta.url));
+
+test('renderers share the installer without listening to it', t => {
+  const rootDir = createTempDir(t);
+  const installer = getInstaller({ cwd: rootDir });
+
+  for (let i = 0; i < 3; i++) {
+    createRenderer({ rootDir, workers: false });
+  }
+  assert.equal(installer.events.listenerCount('finish'), 0);
+  assert.equal(installer.events.listenerCount('start'), 0);
+});
+
+test('output of a reinstalled package is rendered again and the old output freed', async t => {
+  const rootDir = createTempDir(t);
+  const packageJson = createFakePackage(path.join(rootDir, 'node_modules'), 'lighthouse-v12.2.0', '12.2.0');
+  const renderer = createRenderer({ rootDir, workers: false, autoInstall: false });
+  const resolved = { packageName: 'lighthouse-v12.2.0', version: '12.2.0' };
+
+  const first = await renderer.renderOutput(createLhr(), resolved, 'csv');
+  assert.equal(first.output, 'csv:https://example.com/');
+  assert.equal((await renderer.renderOutput(createLhr(), resolved, 'csv')).cached, true);
+
+  const later = new Date(Date.now() + 60 * 1000);
+  fs.utimesSync(packageJson, later, later);
+  const reinstalled = await renderer.renderOutput(createLhr(), resolved, 'csv');
+  assert.equal(reinstalled.cached, false);
+  assert.notEqual(reinstalled.key, first.key);
+  assert.equal(renderer.outputCache.stats().entries, 1);
+});
+
+test('standalone reports embed the assets of the rendering version', async t => {
+  const rootDir = createTempDir(t);
+  const nodeModulesDir = path.join(rootDir, 'node_modules');
+  createFakePackage(nodeModulesDir, 'lighthouse-v12.2.0', '12.2.0');
+  const renderer = createRenderer({ rootDir, workers: false, autoInstall: false });
+  const resolved = { packageName: 'lighthouse-v12.2.0', version: '12.2.0' };
+  const lhr = { ...createLhr(), requestedUrl: 'assets' };
+
+  const linked = await renderer.renderReport(lhr, resolved, 'html');
+  assert.match(linked, /src="\/assets\/12\.2\.0\/\.\/bundle\.js"/);
+  await assert.rejects(renderer.renderReport(lhr, resolved, 'html', { standalone: true }), /Report asset \.\/bundle\.js not found for Lighthouse v12\.2\.0/);
+
+  // Assets of the major alias serve every 12.x version
+  const assetsDir = path.join(nodeModulesDir, 'lighthouse-v12', 'report', 'assets');
+  fs.mkdirSync(assetsDir, { recursive: true });
+  fs.writeFileSync(path.join(assetsDir, 'styles.css'), 'body { color: red; }');
+  fs.writeFileSync(path.join(assetsDir, 'bundle.js'), 'console.log("</script>");');
+  fs.writeFileSync(path.join(assetsDir, 'logo.png'), 'png');
+
+  const standalone = await renderer.renderReport(lhr, resolved, 'html', { standalone: true });
+  assert.equal(standalone, '<style>body { color: red; }</style><script>console.log("<\\/script>");</script><img src="data:image/png;base64,cG5n">');
+});
+
+test('export-report.js exports a directory of reports', t => {
+  const reportsDir = createTempDir(t);
+  const outputDir = createTempDir(t);
+  const report = JSON.stringify(createLhr());
+  fs.writeFileSync(path.join(reportsDir, 'report.json'), report);
+  fs.writeFileSync(path.join(reportsDir, 'report.json.gz'), zlib.gzipSync(report));
+  fs.writeFileSync(path.join(reportsDir, 'broken.json'), JSON.stringify({ ...createLhr(), audits: undefined }));
+
+  const result = spawnSync(process.execPath, [EXPORT_REPORT, '--dir', reportsDir, '-o', outputDir], {
+    cwd: createTempDir(t),
+    env: { ...process.env, AUTO_INSTALL: 'false', RENDER_WORKERS: 'false' },
+    encoding: 'utf8',
+    timeout: 60 * 1000,
+  });
+
+  assert.equal(result.status, 1, result.stderr);
+  assert.match(result.stdout, /Summary: 2\/3 reports exported successfully/);
+  assert.match(result.stderr, /broken\.json: Invalid Lighthouse report/);
+  assert.match(result.stderr, /^ {3}audits must be an object/m);
+  assert.deepEqual(fs.readdirSync(outputDir).sort(), ['report-2.html', 'report.html']);
+  assert.match(fs.readFileSync(path.join(outputDir, 'report.html'), 'utf8'), /window\.__LIGHTHOUSE_JSON__ = /);
+});
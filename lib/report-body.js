@@ -0,0 +1,131 @@
+// Reading report JSON from storage: gzip and brotli bodies are decompressed on
+// the fly, detected by magic bytes, Content-Encoding or file extension, and
+// the decompressed size is capped so a single huge report can't exhaust memory.
+
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+import { reportError } from './lhr.js';
+
+export const DEFAULT_MAX_REPORT_BYTES = 100 * 1024 * 1024;
+
+function reportTooLarge(maxBytes) {
+  const error = new Error(`Report exceeds the maximum size of ${formatBytes(maxBytes)} (REPORT_MAX_BYTES)`);
+  error.status = 413;
+  return error;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+function toReadable(body) {
+  if (Buffer.isBuffer(body) || typeof body === 'string') {
+    return Readable.from([Buffer.from(body)]);
+  }
+  if (typeof body.getReader === 'function') {
+    return Readable.fromWeb(body);
+  }
+  return body;
+}
+
+// Returns 'gzip', 'br', 'deflate' or null for plain JSON. Bodies that already
+// look like JSON are never decompressed, e.g. when fetch decoded a
+// Content-Encoding itself.
+export function detectEncoding(head, { contentEncoding = null, name = '' } = {}) {
+  const firstChar = head.toString('utf8', 0, Math.min(head.length, 64)).trimStart()[0];
+  const encoding = String(contentEncoding || '').toLowerCase();
+  const extension = name.split(/[?#]/)[0].toLowerCase();
+
+  if (firstChar === '{' || firstChar === '[') {
+    return null;
+  }
+  if (head[0] === 0x1f && head[1] === 0x8b) {
+    return 'gzip';
+  }
+  if (encoding.includes('br') || extension.endsWith('.br')) {
+    return 'br';
+  }
+  if (encoding.includes('deflate')) {
+    return 'deflate';
+  }
+  return null;
+}
+
+function createDecoder(encoding) {
+  switch (encoding) {
+    case 'gzip': return zlib.createGunzip();
+    case 'br': return zlib.createBrotliDecompress();
+    case 'deflate': return zlib.createInflate();
+    default: return null;
+  }
+}
+
+// body: Buffer, Node Readable or web ReadableStream. name is the URL or file
+// path, used for extension-based detection. Resolves to { report, size } where
+// size is the decompressed byte length.
+export async function readReportJson(body, { contentEncoding = null, contentLength = null, name = '', maxBytes = DEFAULT_MAX_REPORT_BYTES } = {}) {
+  const source = toReadable(body);
+
+  // Compressed bodies only grow, so an oversized Content-Length fails right away
+  if (contentLength && Number(contentLength) > maxBytes) {
+    source.destroy();
+    throw reportTooLarge(maxBytes);
+  }
+
+  const iterator = source[Symbol.asyncIterator]();
+  const first = await iterator.next();
+  const head = first.done ? Buffer.alloc(0) : Buffer.from(first.value);
+  const decoder = createDecoder(detectEncoding(head, { contentEncoding, name }));
+
+  // Put the peeked chunk back in front of the rest of the stream
+  const rest = Readable.from((async function* () {
+    if (!first.done) {
+      yield head;
+    }
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield next.value;
+    }
+  })());
+
+  const chunks = [];
+  let size = 0;
+  let tooLarge = null;
+
+  try {
+    await pipeline(rest, ...(decoder ? [decoder] : []), async function (decoded) {
+      for await (const chunk of decoded) {
+        size += chunk.length;
+        if (size > maxBytes) {
+          // pipeline may reject with the decoder's abort error instead of this one
+          tooLarge = reportTooLarge(maxBytes);
+          throw tooLarge;
+        }
+        chunks.push(chunk);
+      }
+    });
+  } catch (error) {
+    source.destroy();
+    if (tooLarge) {
+      throw tooLarge;
+    }
+    // Only zlib's own errors mean the data is corrupt; timeouts and the like pass through
+    if (!decoder || !String(error.code).startsWith('Z_')) {
+      throw error;
+    }
+    throw new Error(`Could not decompress report: ${error.message}`);
+  }
+
+  let report;
+  try {
+    report = JSON.parse(Buffer.concat(chunks, size).toString('utf8'));
+  } catch (error) {
+    // Usually a truncated upload or object
+    throw reportError(`Report is not valid JSON: ${error.message}`, {
+      source: name || null,
+      problems: [{ path: '(document)', message: error.message }],
+    });
+  }
+
+  return { report, size };
+}
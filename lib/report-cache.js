@@ -0,0 +1,174 @@
+// Bounded cache for fetched reports: LRU eviction by entry count and size,
+// a TTL after which entries are revalidated with their ETag/Last-Modified,
+// and an optional on-disk tier so the cache survives restarts. The disk tier
+// has the same limits, applied to its files, least recently used first.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLru } from './lru.js';
+
+export function createReportCache({
+  maxEntries = 100,
+  maxBytes = 200 * 1024 * 1024,
+  ttlMs = 5 * 60 * 1000,
+  diskDir = null,
+} = {}) {
+  const entries = createLru({ maxEntries, maxBytes });
+  let hits = 0;
+  let misses = 0;
+  // Lookups that found an expired entry, which still has to be revalidated with its source
+  let stale = 0;
+
+  // The files on disk by name, sized by their length
+  const diskFiles = createLru({
+    maxEntries,
+    maxBytes,
+    onEvict: name => fs.promises.rm(path.join(diskDir, name), { force: true })
+      .catch(error => console.error(`Failed to delete cache file ${name}:`, error.message)),
+  });
+
+  if (diskDir) {
+    fs.mkdirSync(diskDir, { recursive: true });
+    indexDisk();
+  }
+
+  function diskName(key) {
+    return `${crypto.createHash('sha256').update(key).digest('hex')}.json`;
+  }
+
+  function diskPath(key) {
+    return path.join(diskDir, diskName(key));
+  }
+
+  // Pick up the files of an earlier run, oldest first, and drop what no longer fits
+  function indexDisk() {
+    const files = [];
+    for (const name of fs.readdirSync(diskDir)) {
+      const filePath = path.join(diskDir, name);
+      if (name.endsWith('.tmp')) {
+        // Left behind by a crash while writing
+        fs.rmSync(filePath, { force: true });
+      } else if (name.endsWith('.json')) {
+        const stats = fs.statSync(filePath);
+        files.push({ name, size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    }
+
+    for (const { name, size } of files.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+      diskFiles.set(name, true, size);
+    }
+  }
+
+  async function readFromDisk(key) {
+    try {
+      const stored = JSON.parse(await fs.promises.readFile(diskPath(key), 'utf8'));
+      return stored.key === key ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function writeToDisk(key, entry) {
+    const filePath = diskPath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    const data = JSON.stringify({ key, ...entry });
+
+    // Write to a temp file first so a crash never leaves a truncated entry behind
+    fs.promises.writeFile(tempPath, data)
+      .then(() => fs.promises.rename(tempPath, filePath))
+      .then(() => diskFiles.set(diskName(key), true, Buffer.byteLength(data)))
+      .catch(error => console.error(`Failed to write cache entry for ${key}:`, error.message));
+  }
+
+  function isFresh(entry) {
+    return Date.now() - entry.validatedAt < ttlMs;
+  }
+
+  return {
+    // Returns { report, etag, lastModified, validatedAt, size } or undefined
+    async get(key) {
+      let entry = entries.get(key);
+
+      if (!entry && diskDir) {
+        const stored = await readFromDisk(key);
+        if (stored) {
+          // Also the most recently used file now
+          diskFiles.get(diskName(key));
+          const { key: storedKey, ...diskEntry } = stored;
+          entry = diskEntry;
+          entries.set(key, entry, entry.size);
+        }
+      }
+
+      if (!entry) {
+        misses++;
+      } else if (isFresh(entry)) {
+        hits++;
+      } else {
+        stale++;
+      }
+      return entry;
+    },
+
+    isFresh,
+
+    // size is the byte length of the report's serialized JSON
+    set(key, report, { etag = null, lastModified = null, size } = {}) {
+      const entry = {
+        report,
+        etag,
+        lastModified,
+        validatedAt: Date.now(),
+        size: size ?? Buffer.byteLength(JSON.stringify(report)),
+      };
+
+      entries.set(key, entry, entry.size);
+      if (diskDir) {
+        writeToDisk(key, entry);
+      }
+      return entry;
+    },
+
+    // Mark an entry as confirmed unchanged by its source
+    revalidated(key) {
+      const entry = entries.peek(key);
+      if (entry) {
+        entry.validatedAt = Date.now();
+        if (diskDir) {
+          writeToDisk(key, entry);
+        }
+      }
+    },
+
+    async delete(key) {
+      const existed = entries.delete(key);
+
+      if (diskDir) {
+        diskFiles.delete(diskName(key));
+        try {
+          await fs.promises.unlink(diskPath(key));
+          return true;
+        } catch (error) {
+          // Nothing stored on disk for this key
+        }
+      }
+      return existed;
+    },
+
+    stats() {
+      return {
+        entries: entries.size,
+        bytes: entries.bytes,
+        maxEntries,
+        maxBytes,
+        ttlMs,
+        hits,
+        misses,
+        stale,
+        disk: diskDir ? { entries: diskFiles.size, bytes: diskFiles.bytes } : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setTimeout as delay } from 'timers/promises';
+import { createReportCache } from './report-cache.js';
+import { createLhr, createTempDir } from '../test/helpers.js';
+
+// Disk writes happen in the background
+async function waitFor(condition) {
+  for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+    await delay(10);
+  }
+  assert.ok(condition(), 'timed out waiting for the cache');
+}
+
+test('evicts the least recently used entries', async () => {
+  const cache = createReportCache({ maxEntries: 2 });
+
+  cache.set('a', createLhr());
+  cache.set('b', createLhr());
+  await cache.get('a');
+  cache.set('c', createLhr());
+
+  assert.ok(await cache.get('a'));
+  assert.equal(await cache.get('b'), undefined);
+  assert.ok(await cache.get('c'));
+  assert.equal(cache.stats().entries, 2);
+});
+
+test('keeps the disk tier within the same limits', async t => {
+  const diskDir = createTempDir(t);
+  const cache = createReportCache({ maxEntries: 2, diskDir });
+
+  for (const key of ['a', 'b', 'c', 'd']) {
+    cache.set(key, createLhr());
+  }
+
+  await waitFor(() => fs.readdirSync(diskDir).length === 2);
+  assert.equal(cache.stats().disk.entries, 2);
+});
+
+test('reloads entries from disk after a restart, and prunes what no longer fits', async t => {
+  const diskDir = createTempDir(t);
+  const first = createReportCache({ maxEntries: 3, diskDir });
+  for (const key of ['a', 'b', 'c']) {
+    first.set(key, createLhr({ url: `https://${key}.example.com/` }));
+  }
+  await waitFor(() => first.stats().disk.entries === 3);
+  fs.writeFileSync(path.join(diskDir, 'half-written.json.123.tmp'), '{');
+
+  const second = createReportCache({ maxEntries: 3, diskDir });
+  assert.equal((await second.get('c')).report.finalDisplayedUrl, 'https://c.example.com/');
+  assert.equal(fs.readdirSync(diskDir).length, 3);
+
+  const smaller = createReportCache({ maxEntries: 1, diskDir });
+  assert.equal(smaller.stats().disk.entries, 1);
+  await waitFor(() => fs.readdirSync(diskDir).length === 1);
+});
+
+test('delete removes an entry from memory and disk', async t => {
+  const diskDir = createTempDir(t);
+  const cache = createReportCache({ diskDir });
+
+  cache.set('a', createLhr());
+  await waitFor(() => cache.stats().disk.entries === 1);
+
+  assert.equal(await cache.delete('a'), true);
+  assert.equal(await cache.get('a'), undefined);
+  assert.equal(cache.stats().disk.entries, 0);
+  assert.deepEqual(fs.readdirSync(diskDir), []);
+});
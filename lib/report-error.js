@@ -0,0 +1,45 @@
+// Error page for reports that can't be rendered (see assertLighthouseReport in
+// lib/lhr.js): what is wrong with the report and where it came from, with a
+// JSON variant for API clients.
+
+import { escapeHtml, renderPage } from './html.js';
+
+export function reportErrorJson(error) {
+  return {
+    error: {
+      code: error.code,
+      message: error.message,
+      source: error.source || null,
+      reportVersion: error.reportVersion || null,
+      problems: error.problems || [],
+    },
+  };
+}
+
+export function renderReportErrorPage(error) {
+  const unsupported = error.code === 'UNSUPPORTED_LIGHTHOUSE_VERSION';
+  const problems = error.problems || [];
+  
+  const problemRows = problems.map(({ path, message }) => `
+          <tr><td><code>${escapeHtml(path)}</code></td><td>${escapeHtml(message)}</td></tr>`).join('');
+  
+  return renderPage(unsupported ? 'Unsupported Lighthouse version' : 'Invalid Lighthouse report', `
+    <h1>${unsupported ? 'This Lighthouse version can\'t be rendered' : 'This report can\'t be rendered'}</h1>
+    <div class="card">
+      <p class="score-fail">${escapeHtml(error.message)}</p>
+      ${error.source ? `<p class="muted">Source: <code>${escapeHtml(error.source)}</code></p>` : ''}
+      ${error.reportVersion ? `<p class="muted">Generated by Lighthouse <span class="version">v${escapeHtml(error.reportVersion)}</span></p>` : ''}
+      <p class="muted">${unsupported
+        ? 'Re-run the audit with a current Lighthouse version to view it here.'
+        : 'The report is missing data the report generator needs, which usually means it was truncated or modified after Lighthouse wrote it.'}</p>
+    </div>
+    ${problems.length > 0 ? `
+    <h2>Problems</h2>
+    <div class="card">
+      <table>
+        <thead><tr><th>Field</th><th>Problem</th></tr></thead>
+        <tbody>${problemRows}
+        </tbody>
+      </table>
+    </div>` : ''}`);
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reportError } from './lhr.js';
+import { reportErrorJson, renderReportErrorPage } from './report-error.js';
+
+const invalid = reportError('Invalid Lighthouse report: audits must be an object with at least one audit', {
+  source: 'https://example.com/<report>.json',
+  reportVersion: '12.2.0',
+  problems: [{ path: 'audits', message: 'must be an object with at least one audit' }],
+});
+
+test('the error page lists the problems and escapes the source', () => {
+  const html = renderReportErrorPage(invalid);
+
+  assert.match(html, /<h1>This report can't be rendered<\/h1>/);
+  assert.match(html, /Source: <code>https:\/\/example\.com\/&lt;report&gt;\.json<\/code>/);
+  assert.match(html, /<tr><td><code>audits<\/code><\/td><td>must be an object with at least one audit<\/td><\/tr>/);
+});
+
+test('unsupported versions get their own page without a problem table', () => {
+  const html = renderReportErrorPage(reportError('Reports from Lighthouse v2.9.0 can\'t be rendered', {
+    code: 'UNSUPPORTED_LIGHTHOUSE_VERSION',
+    reportVersion: '2.9.0',
+  }));
+
+  assert.match(html, /<h1>This Lighthouse version can't be rendered<\/h1>/);
+  assert.match(html, /Re-run the audit with a current Lighthouse version/);
+  assert.doesNotMatch(html, /<h2>Problems<\/h2>/);
+});
+
+test('the JSON variant carries the same details', () => {
+  assert.deepEqual(reportErrorJson(invalid), {
+    error: {
+      code: 'INVALID_REPORT',
+      message: invalid.message,
+      source: 'https://example.com/<report>.json',
+      reportVersion: '12.2.0',
+      problems: invalid.problems,
+    },
+  });
+});
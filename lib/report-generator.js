@@ -0,0 +1,44 @@
+// Loading the ReportGenerator of an installed Lighthouse package and producing
+// output with it. Runs inside the render workers (see lib/render-pool.js), or
+// in the main process when workers are disabled.
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { isFlowResult } from './lhr.js';
+
+export async function importReportGenerator(nodeModulesDir, packageName) {
+  // Try different possible paths for different Lighthouse versions
+  const possiblePaths = [
+    `${packageName}/report/generator/report-generator.js`,  // v8+
+    `${packageName}/lighthouse-core/report/report-generator.js`,  // v6-v7
+    `${packageName}/lighthouse-core/report/v2/report-generator.js`,  // older versions
+  ];
+
+  for (const modulePath of possiblePaths) {
+    try {
+      const module = await import(pathToFileURL(path.join(nodeModulesDir, modulePath)).href);
+      return module.ReportGenerator || module.default;
+    } catch (importError) {
+      continue;
+    }
+  }
+
+  // Fallback to default lighthouse
+  console.error(`Could not find ReportGenerator for ${packageName}, using the default lighthouse package`);
+  const module = await import('lighthouse/report/generator/report-generator.js');
+  return module.ReportGenerator;
+}
+
+// The generator's own output: HTML for reports and flows, or a report's JSON or
+// CSV export. version is the rendering Lighthouse version, for error messages.
+export function generateOutput(ReportGenerator, reportJson, format, version) {
+  if (isFlowResult(reportJson)) {
+    // Flow reports were introduced in Lighthouse 9
+    if (typeof ReportGenerator.generateFlowReportHtml !== 'function') {
+      throw new Error(`Lighthouse v${version} can't render user-flow reports`);
+    }
+    return ReportGenerator.generateFlowReportHtml(reportJson);
+  }
+
+  return format === 'html' ? ReportGenerator.generateReportHtml(reportJson) : ReportGenerator.generateReport(reportJson, format);
+}
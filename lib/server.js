@@ -0,0 +1,881 @@
+// The report server as an Express app. All configuration is passed in
+// explicitly: server.js reads it from the environment (see lib/config.js),
+// other services can embed the app with their own settings.
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import { isFlowResult, getLighthouseVersion, getCategories, assertLighthouseReport, isReportError, reportError, getReportFilename } from './lhr.js';
+import { compareReports, renderComparePage } from './compare.js';
+import { buildTrend, renderTrendPage } from './trend.js';
+import { parseBudget, checkBudget, renderBudgetJUnit } from './budget.js';
+import { renderCategoryBadge, renderCategoriesBadge, renderErrorBadge } from './badge.js';
+import { createLocalReports, renderLocalReportsPage } from './local-reports.js';
+import { createUploadStore } from './uploads.js';
+import { createReportCache } from './report-cache.js';
+import { createKeyring, encryptLink, decryptLink } from './links.js';
+import { escapeHtml, renderPage } from './html.js';
+import { VERSION_POLICIES, isValidAlias, isValidVersion } from './versions.js';
+import { DEFAULT_ROOT_DIR, REPORT_FORMATS, createRenderer } from './renderer.js';
+import { OUTPUT_ENCODINGS } from './render-cache.js';
+import { createReportLoader } from './loader.js';
+import { tenantIdOfLink } from './tenants.js';
+import { createAdminRouter } from './admin.js';
+import { createMetrics } from './metrics.js';
+import { createReadinessCheck } from './health.js';
+import { reportErrorJson, renderReportErrorPage } from './report-error.js';
+import { sourcesFromEnv } from './sources/index.js';
+import { DEFAULT_MAX_REPORT_BYTES, readReportJson } from './report-body.js';
+
+// Reports a trend page loads at once; each can take up to reportMaxBytes of memory
+const TREND_LOAD_CONCURRENCY = 4;
+
+// Like Promise.allSettled(items.map(fn)), but with at most `concurrency` calls running at once
+async function settleEach(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  async function work() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index]) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+  
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, work));
+  return results;
+}
+
+// Options (all optional):
+//   rootDir          directory whose node_modules holds the lighthouse-v* packages
+//   versionPolicy    exact, patch, minor or any, see lib/versions.js
+//   autoInstall      install missing versions with npm
+//   mirrorDir        local package mirror for installs, see lib/mirror.js
+//   workers          render worker pool options, or false to render in-process, see lib/render-pool.js
+//   outputCache      rendered output cache options, or false to render every request, see lib/render-cache.js
+//   keyring          keys for encrypted report links, see lib/links.js
+//   sources          report source registry, see lib/sources/
+//   cache            report cache options, see lib/report-cache.js
+//   reportMaxBytes   largest accepted report, after decompression
+//   uploadsDir       where POST /render?store=true keeps reports
+//   uploadMaxBytes   largest accepted upload
+//   uploadsTtlMs     how long stored uploads are kept, see lib/uploads.js
+//   uploadsMaxTotalBytes  space for stored uploads; the oldest are deleted to make room
+//   trendMaxReports  most reports on one trend page
+//   localReport      report served at /, also looked for with a .gz or .br suffix
+//   reportsDir       directory of reports listed at / instead of localReport, see lib/local-reports.js
+//   adminToken       bearer token for the admin API and page; without it they are disabled
+//   tenants          [{ id, keyring, sources }] with their own links and storage, see lib/tenants.js
+// Returns the Express app; call listen() on it or mount it in another app.
+export function createServer({
+  rootDir = DEFAULT_ROOT_DIR,
+  versionPolicy = 'minor',
+  autoInstall = true,
+  mirrorDir = null,
+  workers = {},
+  outputCache = {},
+  keyring = createKeyring(),
+  sources = sourcesFromEnv({}),
+  cache = {},
+  reportMaxBytes = DEFAULT_MAX_REPORT_BYTES,
+  uploadsDir = path.join(rootDir, 'uploads'),
+  uploadMaxBytes = 50 * 1024 * 1024,
+  uploadsTtlMs = 30 * 24 * 60 * 60 * 1000,
+  uploadsMaxTotalBytes = 1024 * 1024 * 1024,
+  trendMaxReports = 100,
+  localReport = 'report.json',
+  reportsDir = null,
+  adminToken = null,
+  tenants = [],
+  publicUrl = null,
+} = {}) {
+  if (!VERSION_POLICIES.includes(versionPolicy)) {
+    throw new Error(`Invalid version policy "${versionPolicy}" (expected one of ${VERSION_POLICIES.join(', ')})`);
+  }
+  
+  const app = express();
+  
+  // Resolves, installs and renders report versions, see lib/renderer.js. Its installer
+  // runs installs in the background and tracks their progress for the loading screen.
+  const renderer = createRenderer({ rootDir, mirrorDir, versionPolicy, autoInstall, workers, outputCache });
+  const installer = renderer.installer;
+  
+  // Prometheus metrics served at /metrics, see lib/metrics.js
+  const metrics = createMetrics();
+  metrics.watchInstaller(installer);
+  if (renderer.pool) {
+    metrics.watchRenderPool(renderer.pool);
+  }
+  if (renderer.outputCache) {
+    metrics.watchRenderCache(renderer.outputCache);
+  }
+  
+  // Fetches reports through the sources and the cache, and validates them; see lib/loader.js
+  const reportCache = createReportCache(cache);
+  const loader = createReportLoader({ keyring, sources, maxBytes: reportMaxBytes, cache: reportCache, metrics });
+  metrics.watchCache(reportCache);
+  
+  // Each tenant loads its links with its own keys and sources, in its own part of the cache
+  const tenantContexts = new Map(tenants.map(tenant => [tenant.id, {
+    id: tenant.id,
+    keyring: tenant.keyring,
+    loader: createReportLoader({
+      keyring: tenant.keyring,
+      sources: tenant.sources,
+      maxBytes: reportMaxBytes,
+      cache: reportCache,
+      cacheNamespace: tenant.id,
+      metrics,
+    }),
+  }]));
+  const defaultContext = { id: null, keyring, loader };
+  
+  // The tenant to load a link with: the one in the route (/t/:tenant/...), or else the
+  // one the link's key ID names. Links signed with global keys use the global settings.
+  // Either way the tenant's keyring must decrypt the link, so a link can't be moved
+  // to another tenant's credentials.
+  function tenantFor(req, hash) {
+    const tenantId = req.params.tenant || tenantIdOfLink(hash);
+    if (req.params.tenant && !tenantContexts.has(tenantId)) {
+      const error = new Error(`Unknown tenant "${tenantId}"`);
+      error.status = 404;
+      throw error;
+    }
+    return tenantContexts.get(tenantId) || defaultContext;
+  }
+  
+  const checkReadiness = createReadinessCheck({ renderer, sources, tenants });
+  
+  // With a reports directory, / lists its reports and each renders at /local/:name
+  const localReports = reportsDir ? createLocalReports({ dir: reportsDir, loader }) : null;
+  
+  // The local report, or its gzip/brotli compressed variant
+  function localReportPath() {
+    return [localReport, `${localReport}.gz`, `${localReport}.br`].find(name => fs.existsSync(name)) || localReport;
+  }
+  
+  // Reports stored for short links, deleted once expired or to make room
+  const uploads = createUploadStore({ dir: uploadsDir, ttlMs: uploadsTtlMs, maxTotalBytes: uploadsMaxTotalBytes });
+  
+  // Multipart uploads are kept in memory; they are parsed right away
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: uploadMaxBytes } });
+
+  // Liveness: the process is up and handling requests
+  app.get('/healthz', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Readiness: the server can render reports, see lib/health.js
+  app.get('/readyz', async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks });
+  });
+
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(metrics.render());
+  });
+
+  // Serve assets for the version encoded in the URL. The content behind an exact
+  // version never changes, so those responses can be cached forever. Assets of a
+  // stand-in package are only cached briefly: once the exact version is installed,
+  // the same URL serves its own assets.
+  app.get('/assets/:version/:file', (req, res) => {
+    const { version, file } = req.params;
+    
+    // Keep both segments plain to rule out path traversal
+    if (!isValidAlias(version) || !/^[\w-][\w.-]*$/.test(file)) {
+      res.status(404).send('Asset not found');
+      return;
+    }
+    
+    const asset = renderer.resolveAsset(version, file);
+    if (!asset) {
+      res.status(404).send('Asset not found');
+      return;
+    }
+    
+    const exact = asset.packageName === `lighthouse-v${version}` && version.includes('.');
+    res.sendFile(asset.assetPath, exact ? { maxAge: '1y', immutable: true } : { maxAge: '5m' });
+  });
+
+  // Version management for operators, see lib/admin.js
+  app.use('/admin', createAdminRouter({ token: adminToken, renderer }));
+
+  // Install state of a version; versions installed before this process started count as done
+  function getInstallStatus(version) {
+    const status = installer.status(version);
+    if (status) {
+      return status;
+    }
+    
+    return { version, state: renderer.isVersionInstalled(version) ? 'done' : 'idle', error: null, output: [] };
+  }
+
+  // Only allow local paths as return targets
+  function safeReturnTo(returnTo) {
+    return typeof returnTo === 'string' && returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : '/';
+  }
+
+  function renderInstallErrorPage(status, returnTo) {
+    const retryUrl = `/loading/${status.version}?retry=1&returnTo=${encodeURIComponent(returnTo)}`;
+    
+    return renderPage(`Installing Lighthouse v${status.version} failed`, `
+      <h1>Installing Lighthouse <span class="version">v${escapeHtml(status.version)}</span> failed</h1>
+      <div class="card">
+        <p class="score-fail">${escapeHtml(status.error || 'Unknown error')}</p>
+        <p class="muted">No installed Lighthouse version satisfies the "${escapeHtml(versionPolicy)}" version policy, so the report can't be rendered until the installation succeeds.</p>
+        <p><a href="${escapeHtml(retryUrl)}">Retry installation</a></p>
+      </div>
+      <h2>npm output</h2>
+      <pre class="card output">${escapeHtml(status.output.slice(-50).join('\n'))}</pre>`, {
+      styles: `
+      .output { overflow-x: auto; font-size: 0.8rem; line-height: 1.4; }`,
+    });
+  }
+
+  // Install status for API clients
+  app.get('/install/:version/status', (req, res) => {
+    if (!isValidVersion(req.params.version)) {
+      res.status(404).json({ error: 'Unknown version' });
+      return;
+    }
+    
+    res.json(getInstallStatus(req.params.version));
+  });
+
+  // Live install progress as Server-Sent Events
+  app.get('/install/:version/events', (req, res) => {
+    const version = req.params.version;
+    if (!isValidVersion(version)) {
+      res.status(404).end();
+      return;
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+    res.flushHeaders();
+    
+    // Only the latest output lines are needed to show progress
+    const send = status => res.write(`data: ${JSON.stringify({ ...status, output: status.output.slice(-20) })}\n\n`);
+    
+    send(getInstallStatus(version));
+    const unsubscribe = installer.subscribe(version, send);
+    req.on('close', unsubscribe);
+  });
+
+  // Loading screen route
+  app.get('/loading/:version', (req, res) => {
+    const version = req.params.version;
+    const returnTo = safeReturnTo(req.query.returnTo);
+    
+    if (!isValidVersion(version)) {
+      res.status(404).send('Unknown version');
+      return;
+    }
+    
+    // Only a failed install can be retried from here. Anything else is installed
+    // by the report routes, for versions of actual reports, or through the admin API.
+    if (req.query.retry === '1' && installer.status(version)?.state === 'failed') {
+      installer.install(version);
+    }
+    
+    res.send(`
+  <!DOCTYPE html>
+  <html>
+  <head>
+    <meta charset="utf-8">
+    <title>Installing Lighthouse v${version}...</title>
+    <style>
+      body {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        height: 100vh;
+        margin: 0;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: white;
+      }
+      .loading-container {
+        text-align: center;
+        padding: 2rem;
+        width: min(640px, 90vw);
+        background: rgba(255, 255, 255, 0.1);
+        border-radius: 12px;
+        backdrop-filter: blur(10px);
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+      }
+      .spinner {
+        width: 50px;
+        height: 50px;
+        border: 4px solid rgba(255, 255, 255, 0.3);
+        border-top: 4px solid white;
+        border-radius: 50%;
+        animation: spin 1s linear infinite;
+        margin: 0 auto 1rem;
+      }
+      .failed .spinner { display: none; }
+      @keyframes spin {
+        0% { transform: rotate(0deg); }
+        100% { transform: rotate(360deg); }
+      }
+      h1 { margin: 0 0 1rem; font-size: 1.5rem; }
+      p { margin: 0; opacity: 0.9; }
+      a { color: white; }
+      .version { 
+        font-family: 'Monaco', 'Menlo', monospace; 
+        background: rgba(255, 255, 255, 0.2);
+        padding: 0.2rem 0.5rem;
+        border-radius: 4px;
+      }
+      .output {
+        text-align: left;
+        font-family: 'Monaco', 'Menlo', monospace;
+        font-size: 0.75rem;
+        line-height: 1.4;
+        background: rgba(0, 0, 0, 0.25);
+        border-radius: 6px;
+        padding: 0.75rem;
+        margin: 1rem 0 0;
+        height: 10rem;
+        overflow: hidden;
+        white-space: pre-wrap;
+        word-break: break-all;
+      }
+      .error { margin-top: 1rem; font-weight: 600; }
+    </style>
+  </head>
+  <body>
+    <div class="loading-container" id="container">
+      <div class="spinner"></div>
+      <h1 id="title">Installing Lighthouse</h1>
+      <p>Installing version <span class="version">v${version}</span>... <span id="state">connecting</span></p>
+      <p style="margin-top: 1rem; font-size: 0.9rem; opacity: 0.7;" id="elapsed">
+        This may take a few moments
+      </p>
+      <p class="error" id="error" hidden></p>
+      <pre class="output" id="output"></pre>
+    </div>
+    <script>
+      const returnTo = ${JSON.stringify(returnTo).replace(/</g, '\\u003c')};
+      const retryUrl = location.pathname + '?retry=1&returnTo=' + encodeURIComponent(returnTo);
+      const events = new EventSource('/install/${version}/events');
+      let startedAt = null;
+      
+      setInterval(() => {
+        if (startedAt) {
+          const seconds = Math.round((Date.now() - startedAt) / 1000);
+          document.getElementById('elapsed').textContent = 'Running for ' + seconds + 's';
+        }
+      }, 1000);
+      
+      events.onmessage = event => {
+        const status = JSON.parse(event.data);
+        document.getElementById('state').textContent = '(' + status.state + ')';
+        document.getElementById('output').textContent = status.output.join('\\n');
+        startedAt = status.startedAt ? new Date(status.startedAt).getTime() : null;
+        
+        // Nothing to wait for: either installed, or the report route hasn't started the install yet
+        if (status.state === 'done' || status.state === 'idle') {
+          events.close();
+          window.location.href = returnTo;
+        }
+        
+        if (status.state === 'failed') {
+          events.close();
+          startedAt = null;
+          document.getElementById('container').classList.add('failed');
+          document.getElementById('title').textContent = 'Installation failed';
+          document.getElementById('elapsed').innerHTML = '<a href="' + retryUrl + '">Retry installation</a>';
+          const error = document.getElementById('error');
+          error.textContent = status.error;
+          error.hidden = false;
+        }
+      };
+    </script>
+  </body>
+  </html>
+    `);
+  });
+
+  // Reports that can't be rendered get a page saying what is wrong with them, or
+  // JSON for clients that ask for it; other errors are sent as plain text
+  function sendError(req, res, error, prefix, defaultStatus = 500) {
+    if (!isReportError(error)) {
+      res.status(error.status || defaultStatus).send(`${prefix}: ${error.message}`);
+      return;
+    }
+    
+    res.status(error.status);
+    if (req.accepts(['html', 'json']) === 'json') {
+      res.json(reportErrorJson(error));
+    } else {
+      res.send(renderReportErrorPage(error));
+    }
+  }
+
+  // Work out the requested output format from a `.csv`/`.json` suffix or `?format=`
+  function parseReportFormat(req, param = '') {
+    const suffixMatch = param.match(/^(.+)\.(html|json|csv)$/);
+    const format = suffixMatch ? suffixMatch[2] : String(req.query.format || 'html').toLowerCase();
+    
+    if (!REPORT_FORMATS[format]) {
+      throw new Error(`Unsupported report format: ${format}`);
+    }
+    
+    return { format, value: suffixMatch ? suffixMatch[1] : param };
+  }
+
+  // Compressed variant of cached output the client accepts, or null for plain output
+  function negotiateEncoding(req) {
+    return renderer.outputCache?.precompress ? req.acceptsEncodings(OUTPUT_ENCODINGS) || null : null;
+  }
+
+  // Without `resolved`, a missing version is installed (or substituted) before rendering.
+  // The ETag identifies the output before anything is rendered (see outputKey in
+  // lib/renderer.js), so a client holding the current version gets a 304 right away.
+  async function sendRenderedReport(res, reportJson, format, resolved = null) {
+    const req = res.req;
+    const reportVersion = getLighthouseVersion(reportJson);
+    resolved = resolved || await renderer.ensureVersionInstalled(reportVersion);
+    const { contentType, extension } = REPORT_FORMATS[format];
+    const etag = renderer.outputKey(reportJson, resolved, format);
+    const encoding = negotiateEncoding(req);
+    
+    if (renderer.outputCache?.precompress) {
+      res.vary('Accept-Encoding');
+    }
+    res.set('X-Lighthouse-Renderer-Version', resolved.version);
+    res.set('ETag', encoding ? `"${etag}-${encoding}"` : `"${etag}"`);
+    
+    if (req.fresh) {
+      res.status(304).end();
+      return;
+    }
+    
+    const startedAt = Date.now();
+    let rendered;
+    try {
+      rendered = await renderer.renderOutput(reportJson, resolved, format);
+    } catch (error) {
+      metrics.renderFailed(resolved.version);
+      throw error;
+    }
+    if (!rendered.cached) {
+      metrics.observeRender({ reportVersion, format, ...resolved }, (Date.now() - startedAt) / 1000);
+    }
+    
+    // Only now, so an error page isn't downloaded as report.csv
+    if (format !== 'html') {
+      res.attachment(getReportFilename(reportJson, extension));
+    }
+    
+    const compressed = encoding && rendered.entry ? await renderer.outputCache.encoded(rendered.entry, encoding).catch(() => null) : null;
+    if (compressed) {
+      res.set('Content-Encoding', encoding);
+      res.type(contentType).send(compressed);
+      return;
+    }
+    
+    res.set('ETag', `"${etag}"`);
+    res.type(contentType).send(rendered.output);
+  }
+
+  // Render the report with its exact Lighthouse version, or kick off installation and show the loading screen
+  async function sendReport(res, reportJson, format, returnTo) {
+    const version = getLighthouseVersion(reportJson);
+    
+    if (renderer.isVersionInstalled(version)) {
+      await sendRenderedReport(res, reportJson, format, { packageName: `lighthouse-v${version}`, version });
+      return;
+    }
+    
+    // Once the exact version can't be installed, render with the closest installed version
+    const status = installer.status(version);
+    if (!autoInstall || status?.state === 'failed') {
+      const resolved = renderer.resolveInstalledVersion(version);
+      if (resolved) {
+        await sendRenderedReport(res, reportJson, format, resolved);
+        return;
+      }
+      
+      res.status(500).send(renderInstallErrorPage(status || {
+        version,
+        error: `Automatic installs are disabled and no installed version satisfies the "${versionPolicy}" policy`,
+        output: [],
+      }, returnTo || '/'));
+      return;
+    }
+    
+    // Version doesn't exist - install it and show the loading screen meanwhile
+    installer.install(version);
+    
+    const loadingUrl = `/loading/${version}`;
+    res.redirect(returnTo ? `${loadingUrl}?returnTo=${encodeURIComponent(returnTo)}` : loadingUrl);
+  }
+
+  // Links in pages stay below the tenant route they were requested from
+  function tenantPrefix(req) {
+    return req.params.tenant ? `/t/${req.params.tenant}` : '';
+  }
+
+  // Drop a single report from the cache so the next request fetches it again
+  app.delete(['/cache/:hash', '/t/:tenant/cache/:hash'], async (req, res) => {
+    try {
+      const tenant = tenantFor(req, req.params.hash);
+      const purged = await tenant.loader.purge(tenant.loader.decryptHash(req.params.hash));
+      
+      res.json({ purged });
+    } catch (error) {
+      res.status(error.status || 500).send(`Error purging report: ${error.message}`);
+    }
+  });
+
+  // New route for encrypted hash URLs, optionally suffixed with .html, .json or .csv
+  app.get(['/report/:hash', '/t/:tenant/report/:hash'], async (req, res) => {
+    try {
+      const { format, value: encryptedHash } = parseReportFormat(req, req.params.hash);
+      const reportJson = await tenantFor(req, encryptedHash).loader.loadReportFromHash(encryptedHash);
+      
+      await sendReport(res, reportJson, format, req.originalUrl);
+      
+    } catch (error) {
+      sendError(req, res, error, 'Error processing report');
+    }
+  });
+
+  // Side-by-side comparison of two reports, e.g. before and after a change
+  app.get(['/compare/:before/:after', '/t/:tenant/compare/:before/:after'], async (req, res) => {
+    try {
+      const [before, after] = await Promise.all([
+        tenantFor(req, req.params.before).loader.loadReportFromHash(req.params.before),
+        tenantFor(req, req.params.after).loader.loadReportFromHash(req.params.after),
+      ]);
+      
+      if (isFlowResult(before) || isFlowResult(after)) {
+        throw new Error('User-flow reports cannot be compared, compare the LHRs of individual steps instead');
+      }
+      
+      const diff = compareReports(before, after);
+      
+      if (req.query.format === 'json') {
+        res.json(diff);
+        return;
+      }
+      
+      res.send(renderComparePage(diff, {
+        before: `${tenantPrefix(req)}/report/${req.params.before}`,
+        after: `${tenantPrefix(req)}/report/${req.params.after}`,
+      }));
+      
+    } catch (error) {
+      sendError(req, res, error, 'Error comparing reports');
+    }
+  });
+
+  // Short descriptions of why a badge has no score
+  const BADGE_ERRORS = {
+    400: 'invalid link',
+    403: 'not allowed',
+    404: 'not found',
+    410: 'link expired',
+    422: 'invalid report',
+  };
+  
+  function sendErrorBadge(res, message) {
+    res.set('Cache-Control', 'no-store');
+    res.send(renderErrorBadge(message));
+  }
+
+  // Score badges: /badge/:hash.svg for every category, /badge/:hash/:category.svg for
+  // one. Scores are cached as long as the report itself; failures are answered with
+  // an uncached badge saying what went wrong, since an <img> can't show error pages.
+  app.get([
+    '/badge/:hash.svg',
+    '/badge/:hash/:category.svg',
+    '/t/:tenant/badge/:hash.svg',
+    '/t/:tenant/badge/:hash/:category.svg',
+  ], async (req, res) => {
+    const { hash, category: categoryId } = req.params;
+    res.type('image/svg+xml');
+    
+    try {
+      const reportJson = await tenantFor(req, hash).loader.loadReportFromHash(hash);
+      if (isFlowResult(reportJson)) {
+        sendErrorBadge(res, 'user flow');
+        return;
+      }
+      
+      const categories = getCategories(reportJson);
+      const category = categoryId && categories.find(candidate => candidate.id === categoryId);
+      if (categoryId && !category) {
+        sendErrorBadge(res, 'unknown category');
+        return;
+      }
+      
+      // Absolute, since the badge is embedded on other sites. Without a configured public
+      // URL the link comes from the client's Host header, so shared caches must not keep it.
+      const base = publicUrl ? publicUrl.replace(/\/+$/, '') : `${req.protocol}://${req.get('host')}`;
+      const link = `${base}${tenantPrefix(req)}/report/${hash}`;
+      res.set('Cache-Control', `${publicUrl ? 'public' : 'private'}, max-age=${Math.round(reportCache.stats().ttlMs / 1000)}`);
+      res.send(category ? renderCategoryBadge(category, { link }) : renderCategoriesBadge(categories, { link }));
+      
+    } catch (error) {
+      console.error('Failed to render badge:', error.message);
+      sendErrorBadge(res, BADGE_ERRORS[error.status] || 'error');
+    }
+  });
+
+  // Trend dashboard over a list of report hashes or an encrypted prefix (S3, GCS, Azure or file) to list
+  app.get(['/trend', '/t/:tenant/trend'], async (req, res) => {
+    try {
+      let hashes = String(req.query.reports || '').split(',').map(hash => hash.trim()).filter(Boolean);
+      
+      if (req.query.prefix) {
+        // Links to the listed reports expire together with the prefix link, and belong to its tenant
+        const tenant = tenantFor(req, String(req.query.prefix));
+        const { url: prefixUrl, expiresAt } = decryptLink(String(req.query.prefix), tenant.keyring);
+        const reportUrls = await tenant.loader.sources.list(prefixUrl, { limit: trendMaxReports });
+        hashes = hashes.concat(reportUrls.map(url => encryptLink(url, tenant.keyring, { expiresAt })));
+      }
+      
+      if (hashes.length === 0) {
+        const error = new Error('Provide report hashes with ?reports=<hash>,<hash> or an encrypted prefix with ?prefix=<hash>');
+        error.status = 400;
+        throw error;
+      }
+      
+      if (hashes.length > trendMaxReports) {
+        const error = new Error(`Too many reports: at most ${trendMaxReports} can be charted at once`);
+        error.status = 400;
+        throw error;
+      }
+      
+      const results = await settleEach(hashes, TREND_LOAD_CONCURRENCY, async hash => await tenantFor(req, hash).loader.loadReportFromHash(hash));
+      const entries = [];
+      const failures = [];
+      
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled' && isFlowResult(result.value)) {
+          failures.push({ source: hashes[index], error: 'User-flow reports cannot be charted' });
+        } else if (result.status === 'fulfilled') {
+          entries.push({ link: `${tenantPrefix(req)}/report/${hashes[index]}`, lhr: result.value });
+        } else {
+          failures.push({ source: hashes[index], error: result.reason.message });
+        }
+      });
+      
+      const trend = buildTrend(entries);
+      
+      if (req.query.format === 'json') {
+        res.json({
+          runs: trend.runs.map(({ link, url, lighthouseVersion, fetchTime, categories, metrics }) => ({ link, url, lighthouseVersion, fetchTime, categories, metrics })),
+          failures,
+        });
+        return;
+      }
+      
+      res.send(renderTrendPage(trend, failures));
+      
+    } catch (error) {
+      res.status(error.status || 500).send(`Error building trend: ${error.message}`);
+    }
+  });
+
+  // Read the report from a raw JSON body or a multipart upload (field "report")
+  async function getUploadedReport(req) {
+    if (req.file) {
+      const { report } = await readReportJson(req.file.buffer, { name: req.file.originalname, maxBytes: reportMaxBytes });
+      return report;
+    }
+    
+    if (req.is('multipart/form-data')) {
+      throw new Error('Missing "report" file in multipart upload');
+    }
+    
+    if (!req.body || typeof req.body !== 'object' || Object.keys(req.body).length === 0) {
+      throw new Error('Request body must be a Lighthouse report JSON');
+    }
+    
+    return req.body;
+  }
+
+  // Upload errors such as oversized files or malformed JSON
+  function sendUploadError(error, req, res, next) {
+    if (error.type === 'entity.parse.failed') {
+      error = reportError(`Report is not valid JSON: ${error.message}`, {
+        source: 'request body',
+        problems: [{ path: '(document)', message: error.message }],
+      });
+    }
+    sendError(req, res, error, 'Invalid upload', 400);
+  }
+
+  // Render an uploaded report, or store it and return a shareable short link with ?store=true
+  app.post('/render',
+    express.json({ limit: uploadMaxBytes }),
+    upload.single('report'),
+    async (req, res) => {
+      let reportJson;
+      try {
+        reportJson = await getUploadedReport(req);
+        assertLighthouseReport(reportJson, { source: req.file ? `upload ${req.file.originalname}` : 'request body' });
+      } catch (error) {
+        sendError(req, res, error, 'Invalid upload', 400);
+        return;
+      }
+      
+      try {
+        if (req.query.store === 'true' || req.body?.store === 'true') {
+          const { id, expiresAt } = await uploads.save(reportJson);
+          
+          console.log(`Stored uploaded report ${id} (Lighthouse v${getLighthouseVersion(reportJson)})`);
+          res.status(201).json({ id, url: `${req.protocol}://${req.get('host')}/r/${id}`, expiresAt });
+          return;
+        }
+        
+        const { format } = parseReportFormat(req);
+        
+        // The client is waiting for the output, so install a missing version inline instead of redirecting
+        await sendRenderedReport(res, reportJson, format);
+        
+      } catch (error) {
+        sendError(req, res, error, 'Error rendering uploaded report');
+      }
+    },
+    sendUploadError
+  );
+
+  // Short links to stored uploads, optionally suffixed with .html, .json or .csv
+  app.get('/r/:id', async (req, res) => {
+    try {
+      const { format, value: id } = parseReportFormat(req, req.params.id);
+      const reportJson = await uploads.read(id);
+      
+      if (!reportJson) {
+        res.status(404).send('Report not found');
+        return;
+      }
+      
+      assertLighthouseReport(reportJson, { source: `stored upload ${id}` });
+      await sendReport(res, reportJson, format, req.originalUrl);
+      
+    } catch (error) {
+      sendError(req, res, error, 'Error processing report');
+    }
+  });
+
+  // The report to check against a budget: an uploaded file, an LHR in the JSON
+  // body, or a link hash, which is loaded through the cache like /report/:hash
+  async function getBudgetReport(req) {
+    const file = req.files?.report?.[0];
+    if (file) {
+      const { report } = await readReportJson(file.buffer, { name: file.originalname, maxBytes: reportMaxBytes });
+      assertLighthouseReport(report, { source: `upload ${file.originalname}` });
+      return report;
+    }
+    
+    const report = req.body?.report;
+    if (typeof report === 'string' && report) {
+      return await tenantFor(req, report).loader.loadReportFromHash(report);
+    }
+    if (report && typeof report === 'object') {
+      assertLighthouseReport(report, { source: 'request body' });
+      return report;
+    }
+    
+    const error = new Error('Provide the report as a link hash or Lighthouse report in "report"');
+    error.status = 400;
+    throw error;
+  }
+
+  // Check a report against a performance budget for CI, see lib/budget.js. Takes
+  // JSON ({ report, budget }) or a multipart upload with "report" and "budget"
+  // fields or files. Answers with the verdict as JSON, or JUnit XML with ?format=junit.
+  app.post(['/budget', '/t/:tenant/budget'],
+    express.json({ limit: uploadMaxBytes }),
+    upload.fields([{ name: 'report', maxCount: 1 }, { name: 'budget', maxCount: 1 }]),
+    async (req, res) => {
+      try {
+        const budgetFile = req.files?.budget?.[0];
+        const budget = parseBudget(budgetFile ? budgetFile.buffer.toString('utf8') : req.body?.budget);
+        const reportJson = await getBudgetReport(req);
+        
+        if (isFlowResult(reportJson)) {
+          const error = new Error('User-flow reports cannot be checked against a budget, check the LHRs of individual steps instead');
+          error.status = 400;
+          throw error;
+        }
+        
+        const verdict = checkBudget(reportJson, budget);
+        console.log(`Budget check for ${verdict.report.url}: ${verdict.passed ? 'passed' : `${verdict.violations.length} violations`}`);
+        
+        if (req.query.format === 'junit') {
+          res.type('application/xml').send(renderBudgetJUnit(verdict));
+          return;
+        }
+        
+        res.json(verdict);
+        
+      } catch (error) {
+        sendError(req, res, error, 'Error checking budget');
+      }
+    },
+    sendUploadError
+  );
+
+  // A report from the reports directory, by file name; the format is only taken from ?format=
+  app.get('/local/:name', async (req, res) => {
+    try {
+      const reportPath = localReports?.resolve(req.params.name);
+      if (!reportPath) {
+        res.status(404).send('Report not found');
+        return;
+      }
+      
+      const { format } = parseReportFormat(req);
+      const reportJson = await loader.loadReportFile(reportPath);
+      
+      await sendReport(res, reportJson, format, req.originalUrl);
+      
+    } catch (error) {
+      sendError(req, res, error, 'Error processing report');
+    }
+  });
+
+  app.get('/', async (req, res) => {
+    if (localReports) {
+      try {
+        const entries = await localReports.list();
+        if (req.query.format === 'json') {
+          res.json(entries.map(entry => ({ ...entry, link: `/local/${encodeURIComponent(entry.name)}` })));
+          return;
+        }
+        res.send(renderLocalReportsPage(entries, { dir: reportsDir }));
+      } catch (error) {
+        res.status(500).send(`Error listing reports: ${error.message}`);
+      }
+      return;
+    }
+    
+    try {
+      const { format } = parseReportFormat(req);
+      const reportJson = await loader.loadReportFile(localReportPath());
+      
+      await sendReport(res, reportJson, format, format === 'html' ? null : req.originalUrl);
+      
+    } catch (error) {
+      sendError(req, res, error, 'Error reading or rendering report');
+    }
+  });
+  
+  return app;
+}
@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createKeyring, encryptLink } from './links.js';
+import { getInstaller } from './installer.js';
+import { createLhr, createFlow, createMemorySources, createTempDir, startServer } from '../test/helpers.js';
+
+function postReport(baseUrl, report, query = '') {
+  return fetch(`${baseUrl}/render${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(report),
+  });
+}
+
+test('POST /render offers exports as downloads', async t => {
+  const { baseUrl } = await startServer(t);
+
+  const response = await postReport(baseUrl, createLhr(), '?format=json');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /^attachment; filename="example\.com_2024-01-31_12-00-00\.json"$/);
+  assert.equal((await response.json()).lighthouseVersion, '12.2.0');
+});
+
+test('POST /render does not offer errors as downloads', async t => {
+  const { baseUrl } = await startServer(t);
+
+  const response = await postReport(baseUrl, createFlow(), '?format=csv');
+  assert.equal(response.status, 400);
+  assert.equal(response.headers.get('content-disposition'), null);
+  assert.match(await response.text(), /CSV export is not available for user-flow reports/);
+});
+
+test('GET /trend loads a few reports at a time', async t => {
+  const keyring = createKeyring({ secrets: [{ id: 'test', secret: 'trend-secret' }] });
+  const reports = Object.fromEntries(Array.from({ length: 10 }, (_, index) => [`run${index}`, createLhr({ scores: { performance: index / 10 } })]));
+  const sources = createMemorySources(reports, { delayMs: 20 });
+  const { baseUrl } = await startServer(t, { keyring, sources });
+
+  const hashes = Object.keys(reports).map(name => encryptLink(`test://${name}/report.json`, keyring));
+  const response = await fetch(`${baseUrl}/trend?format=json&reports=${hashes.join(',')}`);
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).runs.length, 10);
+  assert.ok(sources.provider.maxActive <= 4, `${sources.provider.maxActive} reports loaded at once`);
+});
+
+test('GET /trend rejects missing and malformed parameters with 400', async t => {
+  const { baseUrl } = await startServer(t, { trendMaxReports: 2 });
+
+  for (const query of ['', '?reports=', '?prefix=not-a-link', '?reports=a,b,c']) {
+    const response = await fetch(`${baseUrl}/trend${query}`);
+    assert.equal(response.status, 400, `GET /trend${query}`);
+  }
+});
+
+test('POST /render?store=true stores the report for a short link', async t => {
+  const { baseUrl } = await startServer(t);
+
+  const response = await postReport(baseUrl, createLhr(), '?store=true');
+  assert.equal(response.status, 201);
+  const { url, expiresAt } = await response.json();
+  assert.ok(new Date(expiresAt) > new Date());
+
+  const stored = await fetch(`${url}.json`);
+  assert.equal(stored.status, 200);
+  assert.equal((await stored.json()).finalDisplayedUrl, 'https://example.com/');
+  assert.equal((await fetch(`${baseUrl}/r/unknown`)).status, 404);
+});
+
+test('GET /assets caches only assets of the exact version for good', async t => {
+  const { baseUrl } = await startServer(t);
+
+  const exact = await fetch(`${baseUrl}/assets/12.2.0/styles.css`);
+  assert.equal(exact.status, 200);
+  assert.equal(exact.headers.get('cache-control'), 'public, max-age=31536000, immutable');
+
+  // Not installed, served from the default lighthouse package
+  const fallback = await fetch(`${baseUrl}/assets/12.2.7/styles.css`);
+  assert.equal(fallback.status, 200);
+  assert.equal(fallback.headers.get('cache-control'), 'public, max-age=300');
+});
+
+test('GET /loading/:version?retry=1 only retries failed installs', async t => {
+  // npm can't install anything from an empty mirror, so installs fail right away
+  const mirrorDir = createTempDir(t);
+  const { baseUrl, rootDir } = await startServer(t, { mirrorDir });
+  const installer = getInstaller({ cwd: rootDir, mirrorDir });
+  const state = async version => (await (await fetch(`${baseUrl}/install/${version}/status`)).json()).state;
+
+  for (const version of ['12.2.0', '12.9.9']) {
+    assert.equal((await fetch(`${baseUrl}/loading/${version}?retry=1`)).status, 200);
+    assert.equal(installer.status(version), null, `v${version} must not be installed`);
+  }
+  assert.equal(await state('12.2.0'), 'done');
+  assert.equal(await state('12.9.9'), 'idle');
+
+  assert.equal(await installer.install('12.9.9').promise, false);
+  assert.equal(await state('12.9.9'), 'failed');
+
+  await fetch(`${baseUrl}/loading/12.9.9?retry=1`);
+  assert.notEqual(await state('12.9.9'), 'failed');
+  assert.equal(await installer.get('12.9.9').promise, false);
+});
+
+test('POST /budget answers with a verdict, or 400 for a budget on the 0-1 scale', async t => {
+  const { baseUrl } = await startServer(t);
+  const check = (budget, query = '') => fetch(`${baseUrl}/budget${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ report: createLhr({ scores: { performance: 0.95 } }), budget }),
+  });
+
+  const passed = await check({ categories: { performance: 90 } });
+  assert.equal(passed.status, 200);
+  assert.equal((await passed.json()).passed, true);
+
+  const junit = await check({ categories: { performance: 99 } }, '?format=junit');
+  assert.match(junit.headers.get('content-type'), /^application\/xml/);
+  assert.match(await junit.text(), /failures="1"/);
+
+  const fractional = await check({ categories: { performance: 0.9 } });
+  assert.equal(fractional.status, 400);
+  assert.match(await fractional.text(), /scores are from 0 to 100/);
+});
+
+// fetch() won't send a forged Host header, so this uses http directly
+function getWithHost(url, host) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers: { host } }, res => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => resolve({ headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+test('GET /badge links to PUBLIC_URL, or keeps badges out of shared caches without it', async t => {
+  const keyring = createKeyring({ secrets: [{ id: 'test', secret: 'badge-secret' }] });
+  const sources = createMemorySources({ run: createLhr() });
+  const hash = encryptLink('test://run/report.json', keyring);
+
+  const { baseUrl } = await startServer(t, { keyring, sources });
+  const forged = await getWithHost(`${baseUrl}/badge/${hash}.svg`, 'attacker.example');
+  assert.match(forged.headers['cache-control'], /^private, max-age=\d+$/);
+
+  const configured = await startServer(t, { keyring, sources, publicUrl: 'https://lighthouse.example.com/' });
+  const badge = await getWithHost(`${configured.baseUrl}/badge/${hash}/performance.svg`, 'attacker.example');
+  assert.match(badge.headers['cache-control'], /^public, max-age=\d+$/);
+  assert.match(badge.body, new RegExp(`href="https://lighthouse\\.example\\.com/report/${hash}"`));
+  assert.doesNotMatch(badge.body, /attacker/);
+});
+
+test('POST /render renders user flows with the flow report generator', async t => {
+  const { baseUrl } = await startServer(t);
+
+  const response = await postReport(baseUrl, createFlow());
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/html/);
+  assert.match(await response.text(), /__LIGHTHOUSE_FLOW_JSON__/);
+});
+
+test('POST /render answers invalid reports with the error page, or JSON when asked', async t => {
+  const { baseUrl } = await startServer(t);
+  const report = { ...createLhr(), runWarnings: 'none' };
+
+  const page = await postReport(baseUrl, report);
+  assert.equal(page.status, 422);
+  assert.match(await page.text(), /<code>runWarnings<\/code><\/td><td>must be an array/);
+
+  const json = await fetch(`${baseUrl}/render`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify(report),
+  });
+  assert.equal(json.status, 422);
+  assert.deepEqual((await json.json()).error.problems, [{ path: 'runWarnings', message: 'must be an array' }]);
+});
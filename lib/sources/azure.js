@@ -0,0 +1,139 @@
+// Azure Blob Storage report source for https://<account>.blob.core.windows.net
+// URLs and, for Azurite or other custom endpoints, URLs below the configured
+// endpoint (e.g. http://127.0.0.1:10000/devstoreaccount1/container/blob).
+//
+// Requests are signed with the account key (Shared Key) or carry a SAS token;
+// credentials are only ever sent to the configured account.
+
+import crypto from 'crypto';
+import { buffer } from 'stream/consumers';
+import { fetchHttp } from './http.js';
+import { createUrlPolicy } from '../url-policy.js';
+
+const AZURE_BLOB_HOST = /^([a-z0-9]+)\.blob\.core\.windows\.net$/;
+const API_VERSION = '2021-08-06';
+
+export function createAzureSource({ account, accountKey, sasToken, endpoint, policy = createUrlPolicy() } = {}) {
+  const baseUrl = (endpoint || (account ? `https://${account}.blob.core.windows.net` : '')).replace(/\/+$/, '');
+
+  // Requests to our own account get credentials, everything else is anonymous
+  function isOwnAccount(urlObj) {
+    return Boolean(account) && (urlObj.href.startsWith(`${baseUrl}/`) || urlObj.hostname === `${account}.blob.core.windows.net`);
+  }
+
+  // Shared Key authorization, see https://learn.microsoft.com/rest/api/storageservices/authorize-with-shared-key
+  function signRequest(urlObj, headers) {
+    const canonicalHeaders = Object.keys(headers)
+      .filter(name => name.startsWith('x-ms-'))
+      .sort()
+      .map(name => `${name}:${headers[name]}\n`)
+      .join('');
+
+    const params = [...urlObj.searchParams.keys()].map(name => name.toLowerCase());
+    const canonicalResource = `/${account}${urlObj.pathname}` + [...new Set(params)].sort()
+      .map(name => `\n${name}:${urlObj.searchParams.getAll(name).sort().join(',')}`)
+      .join('');
+
+    const stringToSign = [
+      'GET',
+      '', '', '', '', '', '', // Content-Encoding, -Language, -Length, -MD5, -Type, Date
+      headers['If-Modified-Since'] || '',
+      '',
+      headers['If-None-Match'] || '',
+      '', '', // If-Unmodified-Since, Range
+    ].join('\n') + '\n' + canonicalHeaders + canonicalResource;
+
+    const signature = crypto.createHmac('sha256', Buffer.from(accountKey, 'base64')).update(stringToSign, 'utf8').digest('base64');
+    return `SharedKey ${account}:${signature}`;
+  }
+
+  // Resolves like fetchHttp, adding credentials for our own account
+  async function request(url, cached = null) {
+    const urlObj = new URL(url);
+
+    if (!isOwnAccount(urlObj) || (!accountKey && !sasToken)) {
+      return fetchHttp(urlObj.href, cached, { policy });
+    }
+
+    if (!accountKey) {
+      for (const [name, value] of new URLSearchParams(sasToken.replace(/^\?/, ''))) {
+        urlObj.searchParams.set(name, value);
+      }
+      return fetchHttp(urlObj.href, cached, { policy });
+    }
+
+    // fetchHttp adds the conditional headers itself; they are part of the signature
+    const headers = { 'x-ms-date': new Date().toUTCString(), 'x-ms-version': API_VERSION };
+    const authorization = signRequest(urlObj, {
+      ...headers,
+      'If-None-Match': cached?.etag || undefined,
+      'If-Modified-Since': cached?.lastModified || undefined,
+    });
+
+    return fetchHttp(urlObj.href, cached, { headers: { ...headers, Authorization: authorization }, policy });
+  }
+
+  // Split a blob URL into the container URL and the blob name (or prefix)
+  function parseBlobUrl(urlObj) {
+    const base = isOwnAccount(urlObj) && urlObj.href.startsWith(`${baseUrl}/`) ? baseUrl : urlObj.origin;
+    const [container, ...blobParts] = urlObj.href.slice(base.length + 1).split(/[?#]/)[0].split('/');
+    return { containerUrl: `${base}/${container}`, blob: decodeURIComponent(blobParts.join('/')) };
+  }
+
+  return {
+    name: 'azure',
+
+    matches(urlObj) {
+      return AZURE_BLOB_HOST.test(urlObj.hostname) || (Boolean(baseUrl) && urlObj.href.startsWith(`${baseUrl}/`));
+    },
+
+    // The container stands in for the bucket in URL_ALLOWED_BUCKETS
+    bucketOf(url) {
+      return parseBlobUrl(new URL(url)).containerUrl.split('/').pop();
+    },
+
+    fetch(url, cached) {
+      console.log(`Fetching from Azure Blob Storage: ${new URL(url).pathname}`);
+      return request(url, cached);
+    },
+
+    async list(prefixUrl, { limit = 100, suffix = '.json' } = {}) {
+      const { containerUrl, blob: prefix } = parseBlobUrl(new URL(prefixUrl));
+      const urls = [];
+      let marker = '';
+
+      do {
+        const listUrl = new URL(containerUrl);
+        listUrl.searchParams.set('restype', 'container');
+        listUrl.searchParams.set('comp', 'list');
+        listUrl.searchParams.set('prefix', prefix);
+        if (marker) {
+          listUrl.searchParams.set('marker', marker);
+        }
+
+        const { body } = await request(listUrl.href);
+        const xml = (await buffer(body)).toString('utf8');
+
+        for (const [, name] of xml.matchAll(/<Blob>\s*<Name>([^<]*)<\/Name>/g)) {
+          const blobName = decodeXml(name);
+          if (blobName.endsWith(suffix) && urls.length < limit) {
+            urls.push(`${containerUrl}/${blobName.split('/').map(encodeURIComponent).join('/')}`);
+          }
+        }
+
+        marker = decodeXml(xml.match(/<NextMarker>([^<]*)<\/NextMarker>/)?.[1] || '');
+      } while (marker && urls.length < limit);
+
+      return urls;
+    },
+  };
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
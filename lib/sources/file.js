@@ -0,0 +1,61 @@
+// Local filesystem report source for file:// URLs. Only files inside the
+// configured root are readable; symlinks are resolved before the check so
+// they can't be used to escape it.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+export function createFileSource({ root }) {
+  const rootDir = fs.realpathSync(path.resolve(root));
+
+  async function resolveInsideRoot(url) {
+    const filePath = await fs.promises.realpath(fileURLToPath(url));
+
+    if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) {
+      const error = new Error('File is outside FILE_SOURCE_ROOT');
+      error.status = 403;
+      throw error;
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'file',
+
+    matches(urlObj) {
+      return urlObj.protocol === 'file:';
+    },
+
+    async fetch(url, cached) {
+      const filePath = await resolveInsideRoot(url);
+      const stats = await fs.promises.stat(filePath);
+
+      // Weak validator from size and modification time, like static file servers use
+      const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+      if (cached?.etag === etag) {
+        return { notModified: true };
+      }
+
+      return {
+        body: fs.createReadStream(filePath),
+        contentLength: stats.size,
+        etag,
+        lastModified: stats.mtime.toUTCString(),
+      };
+    },
+
+    // Reports in a directory and its subdirectories, sorted by path
+    async list(prefixUrl, { limit = 100, suffix = '.json' } = {}) {
+      const dir = await resolveInsideRoot(prefixUrl);
+      const entries = await fs.promises.readdir(dir, { recursive: true, withFileTypes: true });
+
+      return entries
+        .filter(entry => entry.isFile() && entry.name.endsWith(suffix))
+        .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+        .sort()
+        .slice(0, limit)
+        .map(filePath => pathToFileURL(filePath).href);
+    },
+  };
+}
@@ -0,0 +1,123 @@
+// Google Cloud Storage report source for gs://bucket/object URLs and
+// https://storage.googleapis.com/bucket/object URLs.
+//
+// With HMAC keys objects are read through GCS's S3-compatible XML API, so
+// private buckets work; without them only publicly readable objects can be
+// fetched. The endpoint can point at a local emulator.
+
+import { S3Client, GetObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { fetchHttp } from './http.js';
+import { policyRequestHandler } from './s3.js';
+import { createUrlPolicy } from '../url-policy.js';
+
+const GCS_HOST = 'storage.googleapis.com';
+
+export function createGcsSource({ endpoint = `https://${GCS_HOST}`, hmacAccessKey, hmacSecret, policy = createUrlPolicy() } = {}) {
+  const endpointUrl = new URL(endpoint);
+  const client = hmacAccessKey
+    ? new S3Client({
+      region: 'auto',
+      endpoint: endpointUrl.origin,
+      credentials: { accessKeyId: hmacAccessKey, secretAccessKey: hmacSecret },
+      forcePathStyle: true,
+      requestHandler: policyRequestHandler(policy),
+    })
+    : null;
+
+  // gs://bucket/a/b.json and https://storage.googleapis.com/bucket/a/b.json -> { bucket, key }
+  function parseGcsUrl(url) {
+    const urlObj = new URL(url);
+
+    if (urlObj.protocol === 'gs:') {
+      return { bucket: urlObj.hostname, key: decodeURIComponent(urlObj.pathname.slice(1)) };
+    }
+
+    const [bucket, ...keyParts] = urlObj.pathname.slice(1).split('/');
+    return { bucket, key: decodeURIComponent(keyParts.join('/')) };
+  }
+
+  // Keys may contain %, # or ?, which parseGcsUrl must read back as the same key
+  function encodeKey(key) {
+    return key.split('/').map(encodeURIComponent).join('/');
+  }
+
+  function objectUrl(bucket, key) {
+    return `${endpointUrl.origin}/${bucket}/${encodeKey(key)}`;
+  }
+
+  return {
+    name: 'gcs',
+
+    matches(urlObj) {
+      return urlObj.protocol === 'gs:' || urlObj.hostname === GCS_HOST || urlObj.origin === endpointUrl.origin;
+    },
+
+    bucketOf(url) {
+      return parseGcsUrl(url).bucket;
+    },
+
+    async fetch(url, cached) {
+      const { bucket, key } = parseGcsUrl(url);
+      if (!bucket || !key) {
+        throw new Error(`Invalid GCS URL: ${url}`);
+      }
+      console.log(`Fetching from GCS - Bucket: ${bucket}, Key: ${key}`);
+
+      if (!client) {
+        return fetchHttp(objectUrl(bucket, key), cached, { policy });
+      }
+
+      let response;
+      try {
+        response = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          IfNoneMatch: cached?.etag || undefined,
+          IfModifiedSince: cached?.lastModified ? new Date(cached.lastModified) : undefined,
+        }));
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 304) {
+          return { notModified: true };
+        }
+        throw error;
+      }
+
+      return {
+        body: response.Body,
+        contentEncoding: response.ContentEncoding || null,
+        contentLength: response.ContentLength ?? null,
+        etag: response.ETag || null,
+        lastModified: response.LastModified ? response.LastModified.toUTCString() : null,
+      };
+    },
+
+    async list(prefixUrl, { limit = 100, suffix = '.json' } = {}) {
+      if (!client) {
+        throw new Error('Listing GCS reports requires GCS_HMAC_ACCESS_KEY and GCS_HMAC_SECRET');
+      }
+
+      const { bucket, key: prefix } = parseGcsUrl(prefixUrl);
+      const gsStyle = new URL(prefixUrl).protocol === 'gs:';
+      const urls = [];
+      let continuationToken;
+
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        }));
+
+        for (const object of response.Contents || []) {
+          if (object.Key.endsWith(suffix) && urls.length < limit) {
+            urls.push(gsStyle ? `gs://${bucket}/${encodeKey(object.Key)}` : objectUrl(bucket, object.Key));
+          }
+        }
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken && urls.length < limit);
+
+      return urls;
+    },
+  };
+}
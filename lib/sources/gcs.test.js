@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createGcsSource } from './gcs.js';
+import { createUrlPolicy } from '../url-policy.js';
+
+const KEYS = ['runs/100% done.json', 'runs/a#b?c.json', 'runs/notes.txt'];
+
+// A GCS emulator speaking just enough of the XML API: listing and reading objects by key
+async function startEmulator(t) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.searchParams.get('list-type') === '2') {
+      const contents = KEYS.filter(key => key.startsWith(url.searchParams.get('prefix') || ''))
+        .map(key => `<Contents><Key>${key}</Key><Size>2</Size></Contents>`).join('');
+      res.setHeader('Content-Type', 'application/xml');
+      res.end(`<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>reports</Name><IsTruncated>false</IsTruncated>${contents}</ListBucketResult>`);
+      return;
+    }
+
+    const key = decodeURIComponent(url.pathname.split('/').slice(2).join('/'));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ key }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('listed gs:// URLs fetch the objects they were listed for', async t => {
+  const endpoint = await startEmulator(t);
+  const gcs = createGcsSource({
+    endpoint,
+    hmacAccessKey: 'key',
+    hmacSecret: 'secret',
+    policy: createUrlPolicy({ allowPrivateNetworks: true }),
+  });
+
+  const urls = await gcs.list('gs://reports/runs/');
+  assert.deepEqual(urls, ['gs://reports/runs/100%25%20done.json', 'gs://reports/runs/a%23b%3Fc.json']);
+
+  for (const [index, url] of urls.entries()) {
+    assert.equal(gcs.bucketOf(url), 'reports');
+    const { body } = await gcs.fetch(url);
+    assert.deepEqual(JSON.parse(await body.transformToString()), { key: KEYS[index] });
+  }
+});
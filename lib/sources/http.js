@@ -0,0 +1,118 @@
+// Plain HTTP(S) report source. Requests go through the URL policy (see
+// lib/url-policy.js): its agents refuse private addresses, every redirect is
+// checked again, and the whole request, body included, has a deadline.
+
+import http from 'http';
+import https from 'https';
+import { createUrlPolicy, policyError } from '../url-policy.js';
+
+const USER_AGENT = 'Lighthouse-Report-Renderer/1.0';
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const defaultPolicy = createUrlPolicy();
+
+// GET resolving to the response once headers arrive. At the deadline (a
+// timestamp shared by every redirect of a fetch) the request is aborted, also
+// while the body is read, with a timeout error.
+function get(urlObj, headers, policy, deadline) {
+  return new Promise((resolve, reject) => {
+    const client = urlObj.protocol === 'https:' ? https : http;
+    let response = null;
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Request timed out after ${policy.timeoutMs / 1000}s`);
+      error.status = 504;
+      request.destroy(error);
+      response?.destroy(error);
+    }, Math.max(0, deadline - Date.now()));
+
+    const request = client.get(urlObj, { headers, agent: policy.agents[urlObj.protocol] }, incoming => {
+      response = incoming;
+      response.on('close', () => clearTimeout(timer));
+      resolve(response);
+    });
+
+    request.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+// Conditional GET; resolves to { body, contentEncoding, contentLength, etag, lastModified }
+// with the body as a stream, or to { notModified: true }
+export async function fetchHttp(url, cached, { headers = {}, policy = defaultPolicy } = {}) {
+  const requestHeaders = {
+    'User-Agent': USER_AGENT,
+    ...headers,
+  };
+
+  if (cached?.etag) {
+    requestHeaders['If-None-Match'] = cached.etag;
+  }
+  if (cached?.lastModified) {
+    requestHeaders['If-Modified-Since'] = cached.lastModified;
+  }
+
+  let urlObj = new URL(url);
+  let response;
+  const deadline = Date.now() + policy.timeoutMs;
+
+  for (let redirects = 0; ; redirects++) {
+    if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+      throw policyError(`redirect to ${urlObj.protocol} URL`);
+    }
+    policy.checkUrl(urlObj);
+
+    response = await get(urlObj, requestHeaders, policy, deadline);
+
+    if (!REDIRECT_STATUSES.includes(response.statusCode) || !response.headers.location) {
+      break;
+    }
+
+    response.resume();
+    if (redirects >= policy.maxRedirects) {
+      throw policyError(`more than ${policy.maxRedirects} redirects`);
+    }
+
+    const nextUrl = new URL(response.headers.location, urlObj);
+
+    // Credentials are only meant for the original host
+    if (nextUrl.origin !== urlObj.origin) {
+      delete requestHeaders.Authorization;
+    }
+    urlObj = nextUrl;
+  }
+
+  if (response.statusCode === 304 && cached) {
+    response.resume();
+    return { notModified: true };
+  }
+
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    response.resume();
+    throw new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`);
+  }
+
+  return {
+    body: response,
+    contentEncoding: response.headers['content-encoding'] || null,
+    contentLength: response.headers['content-length'] || null,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+  };
+}
+
+export function createHttpSource({ policy = defaultPolicy } = {}) {
+  return {
+    name: 'http',
+
+    matches(urlObj) {
+      return urlObj.protocol === 'http:' || urlObj.protocol === 'https:';
+    },
+
+    fetch(url, cached) {
+      return fetchHttp(url, cached, { policy });
+    },
+  };
+}
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { fetchHttp } from './http.js';
+import { createUrlPolicy } from '../url-policy.js';
+
+// Local server answering every request with handler(req, res, port); stops when the test ends
+async function startServer(t, handler) {
+  const server = http.createServer((req, res) => handler(req, res, server.address().port));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+  return server.address().port;
+}
+
+function sendReport(res) {
+  res.setHeader('Content-Type', 'application/json');
+  res.end('{"lighthouseVersion":"12.2.0"}');
+}
+
+test('hosts resolving to private addresses are refused at connect time', async t => {
+  const port = await startServer(t, (req, res) => sendReport(res));
+
+  await assert.rejects(fetchHttp(`http://localhost:${port}/report.json`, null, { policy: createUrlPolicy() }), {
+    status: 403,
+    code: 'URL_POLICY_VIOLATION',
+    message: /localhost resolves to private address/,
+  });
+});
+
+test('redirects into private ranges are refused', async t => {
+  const privatePort = await startServer(t, (req, res) => sendReport(res));
+  // Only "localhost" is trusted, so the redirect target must pass the policy by itself
+  const port = await startServer(t, (req, res) => {
+    res.writeHead(302, { Location: `http://127.0.0.1:${privatePort}/report.json` });
+    res.end();
+  });
+  const policy = createUrlPolicy({ trustedEndpoints: [`http://localhost:${port}`] });
+
+  await assert.rejects(fetchHttp(`http://localhost:${port}/redirect`, null, { policy }), {
+    status: 403,
+    message: 'URL not allowed: private address 127.0.0.1',
+  });
+});
+
+test('redirects are limited', async t => {
+  const port = await startServer(t, (req, res, ownPort) => {
+    res.writeHead(302, { Location: `http://localhost:${ownPort}/again` });
+    res.end();
+  });
+  const policy = createUrlPolicy({ trustedEndpoints: [`http://localhost:${port}`], maxRedirects: 2 });
+
+  await assert.rejects(fetchHttp(`http://localhost:${port}/`, null, { policy }), { status: 403, message: /more than 2 redirects/ });
+});
+
+test('the timeout covers the whole redirect chain', async t => {
+  // Every hop answers well within the timeout, all of them together don't
+  const port = await startServer(t, (req, res, ownPort) => {
+    const hop = Number(new URL(req.url, 'http://localhost').searchParams.get('hop'));
+    setTimeout(() => {
+      if (hop < 4) {
+        res.writeHead(302, { Location: `http://localhost:${ownPort}/?hop=${hop + 1}` });
+        res.end();
+      } else {
+        sendReport(res);
+      }
+    }, 100);
+  });
+  const trustedEndpoints = [`http://localhost:${port}`];
+
+  const result = await fetchHttp(`http://localhost:${port}/?hop=0`, null, { policy: createUrlPolicy({ trustedEndpoints, maxRedirects: 5, timeoutMs: 2000 }) });
+  result.body.resume();
+  assert.equal(result.contentLength, '30');
+
+  await assert.rejects(
+    fetchHttp(`http://localhost:${port}/?hop=0`, null, { policy: createUrlPolicy({ trustedEndpoints, maxRedirects: 5, timeoutMs: 250 }) }),
+    { status: 504, message: /timed out/ },
+  );
+});
+
+test('credentials are only sent to the original host', async t => {
+  let forwarded;
+  const targetPort = await startServer(t, (req, res) => {
+    forwarded = req.headers.authorization;
+    sendReport(res);
+  });
+  const port = await startServer(t, (req, res) => {
+    res.writeHead(302, { Location: `http://127.0.0.1:${targetPort}/report.json` });
+    res.end();
+  });
+  const policy = createUrlPolicy({ allowPrivateNetworks: true });
+
+  const result = await fetchHttp(`http://localhost:${port}/`, null, { policy, headers: { Authorization: 'Bearer secret' } });
+  result.body.resume();
+  assert.equal(forwarded, undefined);
+});
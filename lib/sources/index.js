@@ -0,0 +1,118 @@
+// Report source registry. Each report URL is handled by the first provider
+// whose `matches(urlObj)` accepts it, so S3, GCS, Azure, local files and plain
+// HTTP can be used side by side.
+//
+// A provider is { name, matches(urlObj), fetch(url, cached), list?(prefixUrl, { limit, suffix }) }.
+// fetch resolves to { body, contentEncoding, contentLength, etag, lastModified } with
+// the body as a stream (see lib/report-body.js), or { notModified: true }
+// when `cached` ({ etag, lastModified }) is still current; list resolves to report URLs.
+// Providers addressing buckets also implement bucketOf(url) for the bucket allowlist.
+// Providers whose configuration can be wrong implement checkConfig(), which throws if it is.
+//
+// Every URL is checked against the URL policy (see lib/url-policy.js) before
+// its provider sees it. The bucket allowlist only applies to providers with
+// bucketOf: a URL no storage provider claims, e.g. one on an S3-compatible host
+// missing from S3_ENDPOINTS, goes to the plain HTTP provider, which fetches it
+// without credentials and is only restricted by the host allowlist.
+
+import { createFileSource } from './file.js';
+import { createS3Source } from './s3.js';
+import { createGcsSource } from './gcs.js';
+import { createAzureSource } from './azure.js';
+import { createHttpSource } from './http.js';
+import { createUrlPolicy, splitList, urlPolicyFromEnv } from '../url-policy.js';
+
+export function createSourceRegistry(providers, { policy = createUrlPolicy() } = {}) {
+  function resolve(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      throw new Error(`Invalid report URL: ${url}`);
+    }
+
+    const provider = providers.find(candidate => candidate.matches(urlObj));
+    if (!provider) {
+      throw new Error(`No report source configured for ${urlObj.protocol}// URLs`);
+    }
+
+    policy.checkUrl(urlObj);
+    if (provider.bucketOf) {
+      policy.checkBucket(provider.bucketOf(url));
+    }
+    return provider;
+  }
+
+  return {
+    providers,
+    policy,
+    resolve,
+
+    fetch(url, cached = null) {
+      return resolve(url).fetch(url, cached);
+    },
+
+    // Problems with the providers' configuration: [{ source, error }]
+    checkConfig() {
+      const problems = [];
+      for (const provider of providers) {
+        try {
+          provider.checkConfig?.();
+        } catch (error) {
+          problems.push({ source: provider.name, error: error.message });
+        }
+      }
+      return problems;
+    },
+
+    list(prefixUrl, options) {
+      const provider = resolve(prefixUrl);
+      if (!provider.list) {
+        throw new Error(`Listing reports is not supported for ${provider.name} sources`);
+      }
+      return provider.list(prefixUrl, options);
+    },
+  };
+}
+
+// Providers configured from the environment, in matching order: the more
+// specific ones (a single host or endpoint path) come before S3's endpoint list
+export function sourcesFromEnv(env = process.env) {
+  const providers = [];
+  const policy = urlPolicyFromEnv(env, {
+    trustedEndpoints: [...splitList(env.S3_ENDPOINTS), env.GCS_ENDPOINT, env.AZURE_BLOB_ENDPOINT].filter(Boolean),
+  });
+
+  if (env.FILE_SOURCE_ROOT) {
+    providers.push(createFileSource({ root: env.FILE_SOURCE_ROOT }));
+  }
+
+  providers.push(createGcsSource({
+    endpoint: env.GCS_ENDPOINT || undefined,
+    hmacAccessKey: env.GCS_HMAC_ACCESS_KEY,
+    hmacSecret: env.GCS_HMAC_SECRET,
+    policy,
+  }));
+
+  providers.push(createAzureSource({
+    account: env.AZURE_STORAGE_ACCOUNT,
+    accountKey: env.AZURE_STORAGE_KEY,
+    sasToken: env.AZURE_STORAGE_SAS_TOKEN,
+    endpoint: env.AZURE_BLOB_ENDPOINT,
+    policy,
+  }));
+
+  if (env.S3_ENABLED === 'true') {
+    providers.push(createS3Source({
+      region: env.S3_REGION || 'us-east-1',
+      accessKeyId: env.S3_ACCESS_KEY,
+      secretAccessKey: env.S3_SECRET_KEY,
+      endpoints: splitList(env.S3_ENDPOINTS),
+      policy,
+    }));
+  }
+
+  providers.push(createHttpSource({ policy }));
+
+  return createSourceRegistry(providers, { policy });
+}
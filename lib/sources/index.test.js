@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sourcesFromEnv } from './index.js';
+
+const S3_ENV = {
+  S3_ENABLED: 'true',
+  S3_ACCESS_KEY: 'key',
+  S3_SECRET_KEY: 'secret',
+  S3_ENDPOINTS: 'https://minio.example.com',
+  URL_ALLOWED_BUCKETS: 'reports',
+};
+
+test('S3 URLs and listed endpoints go to the S3 source, with the bucket allowlist', () => {
+  const sources = sourcesFromEnv(S3_ENV);
+
+  assert.equal(sources.resolve('s3://reports/report.json').name, 's3');
+  assert.equal(sources.resolve('https://reports.s3.eu-west-1.amazonaws.com/report.json').name, 's3');
+  assert.equal(sources.resolve('https://minio.example.com/reports/report.json').name, 's3');
+  assert.throws(() => sources.resolve('https://minio.example.com/other/report.json'), { status: 403, code: 'URL_POLICY_VIOLATION' });
+  assert.throws(() => sources.resolve('s3://other/report.json'), { status: 403 });
+});
+
+test('S3-compatible hosts missing from S3_ENDPOINTS are plain HTTP URLs, checked against the host allowlist', () => {
+  assert.equal(sourcesFromEnv(S3_ENV).resolve('https://other-minio.example.com/other/report.json').name, 'http');
+
+  const restricted = sourcesFromEnv({ ...S3_ENV, URL_ALLOWED_HOSTS: 'reports.example.com' });
+  assert.throws(() => restricted.resolve('https://other-minio.example.com/other/report.json'), { status: 403, message: /URL_ALLOWED_HOSTS/ });
+  assert.equal(restricted.resolve('https://minio.example.com/reports/report.json').name, 's3');
+});
+
+test('schemes without a source are refused', () => {
+  assert.throws(() => sourcesFromEnv({}).resolve('ftp://example.com/report.json'), /No report source configured for ftp:/);
+  assert.throws(() => sourcesFromEnv({}).resolve('not a url'), /Invalid report URL/);
+});
@@ -0,0 +1,171 @@
+// AWS S3 and S3-compatible (MinIO, ...) report source. Handles s3://bucket/key
+// URLs, AWS S3 hosts and any custom endpoints listed in its config; other
+// HTTPS URLs are left to the plain HTTP source.
+
+import { S3Client, GetObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { createUrlPolicy } from '../url-policy.js';
+
+// bucket.s3.region.amazonaws.com, s3.region.amazonaws.com, bucket.s3-region.amazonaws.com, ...
+const AWS_S3_HOST = /^(?:.+\.)?s3[.-](?:[a-z0-9-]+\.)*amazonaws\.com$/;
+
+// S3 URL parsing utility
+export function parseS3Url(url, region = 'us-east-1') {
+  try {
+    const urlObj = new URL(url);
+    let bucket, key, endpoint;
+
+    // Handle different S3 URL patterns
+    if (urlObj.protocol === 's3:') {
+      // s3://bucket/path/file.json on AWS
+      bucket = urlObj.hostname;
+      key = urlObj.pathname.slice(1);
+      endpoint = `https://s3.${region}.amazonaws.com`;
+    } else if (urlObj.hostname.includes('.s3.') || urlObj.hostname.includes('.s3-')) {
+      // Virtual-hosted style: https://bucket.s3.region.amazonaws.com/path/file.json
+      bucket = urlObj.hostname.split('.')[0];
+      key = urlObj.pathname.slice(1); // Remove leading slash
+      endpoint = urlObj.origin.replace(`${bucket}.`, ''); // Extract S3 endpoint
+    } else {
+      // Path-style: https://s3.region.amazonaws.com/bucket/path/file.json
+      // or MinIO / custom S3-compatible: https://minio.example.com/bucket/path/file.json
+      const pathParts = urlObj.pathname.slice(1).split('/');
+      bucket = pathParts[0];
+      key = pathParts.slice(1).join('/');
+      endpoint = urlObj.origin;
+    }
+
+    if (!bucket) {
+      throw new Error('missing bucket');
+    }
+
+    return { bucket, key: decodeURIComponent(key), endpoint };
+  } catch (error) {
+    throw new Error(`Invalid S3 URL format: ${error.message}`);
+  }
+}
+
+// SDK request handler options routing S3 traffic through the URL policy's agents
+export function policyRequestHandler(policy) {
+  return {
+    httpAgent: policy.agents['http:'],
+    httpsAgent: policy.agents['https:'],
+    requestTimeout: policy.timeoutMs,
+  };
+}
+
+// endpoints: origins of S3-compatible servers, e.g. ['https://minio.example.com']
+export function createS3Source({ region = 'us-east-1', accessKeyId, secretAccessKey, endpoints = [], policy = createUrlPolicy() } = {}) {
+  const customOrigins = endpoints.map(endpoint => new URL(endpoint).origin);
+  const clients = new Map();
+
+  // One client per endpoint, created on first use
+  function getClient(endpoint) {
+    if (!clients.has(endpoint)) {
+      clients.set(endpoint, new S3Client({
+        region,
+        endpoint: endpoint !== `https://s3.${region}.amazonaws.com` ? endpoint : undefined,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+        forcePathStyle: !endpoint.includes('amazonaws.com'), // Use path style for MinIO
+        requestHandler: policyRequestHandler(policy),
+      }));
+    }
+    return clients.get(endpoint);
+  }
+
+  // URL of an object in the same style (s3://, virtual-hosted or path-style) as a prefix URL
+  function objectUrl(prefixUrl, bucket, key) {
+    const urlObj = new URL(prefixUrl);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+    if (urlObj.protocol === 's3:') {
+      return `s3://${bucket}/${encodedKey}`;
+    }
+    if (urlObj.hostname.startsWith(`${bucket}.`)) {
+      return `${urlObj.origin}/${encodedKey}`;
+    }
+    return `${urlObj.origin}/${bucket}/${encodedKey}`;
+  }
+
+  return {
+    name: 's3',
+
+    matches(urlObj) {
+      if (urlObj.protocol === 's3:') {
+        return true;
+      }
+      return (urlObj.protocol === 'https:' || urlObj.protocol === 'http:')
+        && (AWS_S3_HOST.test(urlObj.hostname) || customOrigins.includes(urlObj.origin));
+    },
+
+    bucketOf(url) {
+      return parseS3Url(url, region).bucket;
+    },
+
+    // Configuration mistakes that would make every request fail; used by /readyz
+    checkConfig() {
+      if (!/^[a-z0-9-]+$/.test(region)) {
+        throw new Error(`Invalid S3 region "${region}"`);
+      }
+      if (Boolean(accessKeyId) !== Boolean(secretAccessKey)) {
+        throw new Error('S3_ACCESS_KEY and S3_SECRET_KEY must be set together');
+      }
+    },
+
+    async fetch(url, cached) {
+      const { bucket, key, endpoint } = parseS3Url(url, region);
+      console.log(`Fetching from S3 - Bucket: ${bucket}, Key: ${key}, Endpoint: ${endpoint}`);
+
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        IfNoneMatch: cached?.etag || undefined,
+        IfModifiedSince: cached?.lastModified ? new Date(cached.lastModified) : undefined,
+      });
+
+      let response;
+      try {
+        response = await getClient(endpoint).send(command);
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 304) {
+          return { notModified: true };
+        }
+        throw error;
+      }
+
+      return {
+        body: response.Body,
+        contentEncoding: response.ContentEncoding || null,
+        contentLength: response.ContentLength ?? null,
+        etag: response.ETag || null,
+        lastModified: response.LastModified ? response.LastModified.toUTCString() : null,
+      };
+    },
+
+    // List the objects below a prefix URL whose keys end with `suffix`, returning one URL per object
+    async list(prefixUrl, { limit = 100, suffix = '.json' } = {}) {
+      const { bucket, key: prefix, endpoint } = parseS3Url(prefixUrl, region);
+      console.log(`Listing S3 reports - Bucket: ${bucket}, Prefix: ${prefix}, Endpoint: ${endpoint}`);
+
+      const urls = [];
+      let continuationToken;
+
+      do {
+        const response = await getClient(endpoint).send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        }));
+
+        for (const object of response.Contents || []) {
+          if (object.Key.endsWith(suffix) && urls.length < limit) {
+            urls.push(objectUrl(prefixUrl, bucket, object.Key));
+          }
+        }
+
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken && urls.length < limit);
+
+      return urls;
+    },
+  };
+}
@@ -0,0 +1,86 @@
+// Tenants: teams sharing one renderer, each with its own link secrets, storage
+// credentials and URL policy. They are read from the JSON file named by
+// TENANTS_FILE, keyed by tenant ID:
+//
+//   {
+//     "team-a": {
+//       "APP_SECRET": "...",
+//       "S3_ENABLED": true,
+//       "S3_ACCESS_KEY": "...",
+//       "S3_SECRET_KEY": "...",
+//       "S3_REGION": "eu-west-1",
+//       "URL_ALLOWED_BUCKETS": ["team-a-reports"]
+//     }
+//   }
+//
+// A tenant takes the same settings as the environment (see .env.example) but
+// inherits none of the global ones apart from the fetch limits, so the global
+// credentials never serve a tenant's links and no tenant's credentials serve
+// another's. Tenant key IDs are namespaced as "<tenant>/<key id>", which puts
+// the tenant into every link it signs (see lib/links.js).
+
+import fs from 'fs';
+import path from 'path';
+import { keyringFromEnv, peekLinkKeyId } from './links.js';
+import { sourcesFromEnv } from './sources/index.js';
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+
+// Operational limits every tenant shares with the global configuration
+const INHERITED_SETTINGS = ['FETCH_TIMEOUT_MS', 'FETCH_MAX_REDIRECTS'];
+
+// The file may use booleans, numbers and arrays where the environment only has strings
+function toEnvValue(value) {
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+// Returns { id, keyring, sources }
+export function createTenant(id, settings, env = {}) {
+  if (!TENANT_ID_PATTERN.test(id)) {
+    throw new Error(`Invalid tenant ID "${id}": use lowercase letters, digits, "-" and "_"`);
+  }
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`Tenant "${id}" must be an object of settings`);
+  }
+
+  const tenantEnv = {};
+  for (const name of INHERITED_SETTINGS) {
+    if (env[name] !== undefined) {
+      tenantEnv[name] = env[name];
+    }
+  }
+  for (const [name, value] of Object.entries(settings)) {
+    if (value !== null && value !== undefined) {
+      tenantEnv[name] = toEnvValue(value);
+    }
+  }
+
+  const keyring = keyringFromEnv(tenantEnv, { keyIdPrefix: `${id}/` });
+  if (!keyring.currentKeyId) {
+    throw new Error(`Tenant "${id}" needs APP_SECRET or APP_SECRETS`);
+  }
+
+  return { id, keyring, sources: sourcesFromEnv(tenantEnv) };
+}
+
+export function tenantsFromEnv(env = process.env, { rootDir = process.cwd() } = {}) {
+  if (!env.TENANTS_FILE) {
+    return [];
+  }
+
+  const file = path.resolve(rootDir, env.TENANTS_FILE);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read TENANTS_FILE ${file}: ${error.message}`);
+  }
+
+  return Object.entries(config).map(([id, settings]) => createTenant(id, settings, env));
+}
+
+// Tenant ID a link names through its key ID, or null for links signed with global keys
+export function tenantIdOfLink(hash) {
+  const keyId = peekLinkKeyId(hash);
+  return keyId && keyId.includes('/') ? keyId.slice(0, keyId.indexOf('/')) : null;
+}
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTenant, tenantIdOfLink } from './tenants.js';
+import { createKeyring, encryptLink, decryptLink } from './links.js';
+import { createReportLoader } from './loader.js';
+import { createReportCache } from './report-cache.js';
+import { createLhr, createMemorySources, startServer } from '../test/helpers.js';
+
+test('tenant keys are namespaced, so links name their tenant', () => {
+  const tenant = createTenant('team-a', { APP_SECRETS: ['current:s2', 'old:s1'] });
+  const link = encryptLink('https://example.com/report.json', tenant.keyring);
+
+  assert.equal(tenant.keyring.currentKeyId, 'team-a/current');
+  assert.equal(tenantIdOfLink(link), 'team-a');
+  assert.equal(tenantIdOfLink(encryptLink('https://example.com/report.json', createKeyring({ secrets: [{ id: 'k', secret: 's' }] }))), null);
+});
+
+test('tenants inherit only the fetch limits from the environment', () => {
+  const env = { APP_SECRET: 'global', S3_ENABLED: 'true', URL_ALLOWED_HOSTS: 'global.example.com', FETCH_TIMEOUT_MS: '1234' };
+  const tenant = createTenant('team-a', { APP_SECRET: 'tenant', URL_ALLOWED_HOSTS: ['a.example.com'] }, env);
+
+  assert.equal(tenant.sources.policy.timeoutMs, 1234);
+  assert.ok(!tenant.sources.providers.some(provider => provider.name === 's3'));
+  assert.throws(() => tenant.sources.resolve('https://global.example.com/report.json'), { status: 403 });
+  assert.throws(() => decryptLink(encryptLink('https://a.example.com/', createKeyring({ secrets: [{ id: 'default', secret: 'global' }] })), tenant.keyring), { status: 400 });
+});
+
+test('invalid tenants are refused', () => {
+  assert.throws(() => createTenant('Team A', { APP_SECRET: 's' }), /Invalid tenant ID/);
+  assert.throws(() => createTenant('team-a', {}), /needs APP_SECRET or APP_SECRETS/);
+  assert.throws(() => createTenant('team-a', ['APP_SECRET']), /must be an object/);
+});
+
+test('loaders sharing a cache only see the entries of their own namespace', async () => {
+  const cache = createReportCache();
+  const sourcesA = createMemorySources({ shared: createLhr({ url: 'https://a.example.com/' }) });
+  const sourcesB = createMemorySources({ shared: createLhr({ url: 'https://b.example.com/' }) });
+  const loaderA = createReportLoader({ sources: sourcesA, cache, cacheNamespace: 'a' });
+  const loaderB = createReportLoader({ sources: sourcesB, cache, cacheNamespace: 'b' });
+
+  assert.equal((await loaderA.loadRemoteReport('test://shared/report.json')).finalDisplayedUrl, 'https://a.example.com/');
+  assert.equal((await loaderB.loadRemoteReport('test://shared/report.json')).finalDisplayedUrl, 'https://b.example.com/');
+  assert.equal(sourcesB.provider.fetches.get('test://shared/report.json'), 1);
+  assert.equal(cache.stats().entries, 2);
+
+  await loaderB.purge('test://shared/report.json');
+  assert.equal((await loaderA.loadRemoteReport('test://shared/report.json')).finalDisplayedUrl, 'https://a.example.com/');
+  assert.equal(sourcesA.provider.fetches.get('test://shared/report.json'), 1);
+});
+
+test('tenant routes only accept links of their own tenant', async t => {
+  const reports = scope => ({ shared: createLhr({ url: `https://${scope}.example.com/` }) });
+  const keyring = createKeyring({ secrets: [{ id: 'k', secret: 'global-secret' }] });
+  const tenants = ['a', 'b'].map(id => ({
+    id,
+    keyring: createKeyring({ secrets: [{ id: `${id}/k`, secret: `${id}-secret` }] }),
+    sources: createMemorySources(reports(id)),
+  }));
+  const { baseUrl } = await startServer(t, { keyring, sources: createMemorySources(reports('global')), tenants });
+
+  const url = 'test://shared/report.json';
+  const globalLink = encryptLink(url, keyring);
+  const linkA = encryptLink(url, tenants[0].keyring);
+  // Made with the global secret, claiming to be tenant a's
+  const forged = encryptLink(url, createKeyring({ secrets: [{ id: 'a/k', secret: 'global-secret' }] }));
+
+  const load = async path => {
+    const response = await fetch(`${baseUrl}${path}`);
+    return response.ok ? (await response.json()).finalDisplayedUrl : response.status;
+  };
+
+  assert.equal(await load(`/report/${globalLink}.json`), 'https://global.example.com/');
+  assert.equal(await load(`/report/${linkA}.json`), 'https://a.example.com/');
+  assert.equal(await load(`/t/a/report/${linkA}.json`), 'https://a.example.com/');
+  assert.equal(await load(`/t/b/report/${linkA}.json`), 400);
+  assert.equal(await load(`/t/a/report/${globalLink}.json`), 400);
+  assert.equal(await load(`/report/${forged}.json`), 400);
+  assert.equal(await load(`/t/c/report/${linkA}.json`), 404);
+});
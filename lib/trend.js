@@ -0,0 +1,153 @@
+// Trend dashboard: category scores and core metrics over a series of reports
+
+import { escapeHtml, renderPage } from './html.js';
+import {
+  METRIC_AUDITS,
+  getReportUrl,
+  getCategories,
+  getMetricValue,
+  formatMetricValue,
+  formatScore,
+} from './lhr.js';
+
+const SERIES_COLORS = ['#667eea', '#0c7a3e', '#c5221f', '#b45f06', '#764ba2', '#1a73e8', '#5f6368'];
+
+const CHART_WIDTH = 960;
+const CHART_HEIGHT = 260;
+const CHART_PADDING = { top: 16, right: 24, bottom: 32, left: 56 };
+
+// entries: [{ link, lhr }] in any order. Returns the runs sorted by fetchTime.
+export function buildTrend(entries) {
+  const runs = entries
+    .map(({ link, lhr }) => ({
+      link,
+      url: getReportUrl(lhr),
+      lighthouseVersion: lhr.lighthouseVersion,
+      fetchTime: lhr.fetchTime || lhr.generatedTime || null,
+      categories: getCategories(lhr),
+      metrics: Object.fromEntries(METRIC_AUDITS.map(metric => [metric.id, getMetricValue(lhr, metric.id)])),
+    }))
+    .filter(run => run.fetchTime && !isNaN(new Date(run.fetchTime)))
+    .sort((a, b) => new Date(a.fetchTime) - new Date(b.fetchTime));
+  
+  const categoryIds = [...new Set(runs.flatMap(run => run.categories.map(category => category.id)))];
+  const categories = categoryIds.map(id => ({
+    id,
+    title: runs.flatMap(run => run.categories).find(category => category.id === id).title,
+    points: runs.map(run => ({ run, value: run.categories.find(category => category.id === id)?.score ?? null })),
+  }));
+  
+  const metrics = METRIC_AUDITS
+    .map(metric => ({ ...metric, points: runs.map(run => ({ run, value: run.metrics[metric.id] })) }))
+    .filter(metric => metric.points.some(point => point.value !== null));
+  
+  return { runs, categories, metrics };
+}
+
+// Draw one SVG line chart; series: [{ title, points: [{ run, value }] }]
+function renderChart(series, { maxValue, formatValue, formatAxis }) {
+  const times = series[0].points.map(point => new Date(point.run.fetchTime).getTime());
+  const minTime = Math.min(...times);
+  const timeRange = Math.max(...times) - minTime || 1;
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  
+  const x = time => CHART_PADDING.left + (times.length === 1 ? plotWidth / 2 : ((time - minTime) / timeRange) * plotWidth);
+  const y = value => CHART_PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+  
+  const gridLines = [0, 0.25, 0.5, 0.75, 1].map(fraction => {
+    const value = maxValue * fraction;
+    return `<line x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${y(value)}" y2="${y(value)}" class="grid"/>
+      <text x="${CHART_PADDING.left - 8}" y="${y(value) + 4}" text-anchor="end" class="axis">${escapeHtml(formatAxis(value))}</text>`;
+  }).join('\n      ');
+  
+  const dateLabels = [times[0], times[times.length - 1]].map((time, index) => `<text x="${x(time)}" y="${CHART_HEIGHT - 8}" text-anchor="${times.length === 1 ? 'middle' : index === 0 ? 'start' : 'end'}" class="axis">${escapeHtml(new Date(time).toLocaleDateString('en-US'))}</text>`).join('');
+  
+  const lines = series.map((serie, index) => {
+    const color = SERIES_COLORS[index % SERIES_COLORS.length];
+    const points = serie.points.filter(point => point.value !== null);
+    const path = points.map(point => `${x(new Date(point.run.fetchTime).getTime())},${y(point.value)}`).join(' ');
+    const dots = points.map(point => `<a href="${escapeHtml(point.run.link)}"><circle cx="${x(new Date(point.run.fetchTime).getTime())}" cy="${y(point.value)}" r="4" fill="${color}"><title>${escapeHtml(`${serie.title}: ${formatValue(point.value)} · ${new Date(point.run.fetchTime).toLocaleString('en-US')} · Lighthouse v${point.run.lighthouseVersion}`)}</title></circle></a>`).join('');
+    return `<polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>${dots}`;
+  }).join('\n      ');
+  
+  const legend = series.map((serie, index) => `<span class="legend-item"><span class="swatch" style="background: ${SERIES_COLORS[index % SERIES_COLORS.length]}"></span>${escapeHtml(serie.title)}</span>`).join('');
+  
+  return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" class="chart" role="img">
+      ${gridLines}
+      ${dateLabels}
+      ${lines}
+    </svg>
+    <div class="legend">${legend}</div>`;
+}
+
+// failures: [{ source, error }] for reports that could not be loaded
+export function renderTrendPage(trend, failures = []) {
+  const { runs, categories, metrics } = trend;
+  const urls = [...new Set(runs.map(run => run.url).filter(Boolean))];
+  
+  const failureList = failures.length === 0 ? '' : `
+    <div class="card notice">
+      <strong>${failures.length} report(s) could not be loaded:</strong>
+      <ul>${failures.map(failure => `<li><code>${escapeHtml(failure.source)}</code>: ${escapeHtml(failure.error)}</li>`).join('')}</ul>
+    </div>`;
+  
+  if (runs.length === 0) {
+    return renderPage('Lighthouse trends', `
+    <h1>Lighthouse trends</h1>
+    ${failureList}
+    <p class="card muted">No reports with a fetch time to chart.</p>`);
+  }
+  
+  const metricCharts = metrics.map(metric => {
+    const maxValue = Math.max(...metric.points.map(point => point.value ?? 0)) * 1.1 || 1;
+    return `
+    <h2>${escapeHtml(metric.title)} <span class="muted">${escapeHtml(metric.label)}</span></h2>
+    <div class="card">
+      ${renderChart([metric], {
+        maxValue,
+        formatValue: value => formatMetricValue(metric, value),
+        formatAxis: value => formatMetricValue(metric, value),
+      })}
+    </div>`;
+  }).join('');
+  
+  const content = `
+    <h1>Lighthouse trends</h1>
+    <p class="muted">${runs.length} report(s)${urls.length > 0 ? ` for ${urls.map(escapeHtml).join(', ')}` : ''}</p>
+    ${failureList}
+    
+    <h2>Category scores</h2>
+    <div class="card">
+      ${renderChart(categories, { maxValue: 1, formatValue: formatScore, formatAxis: formatScore })}
+    </div>
+    ${metricCharts}
+    
+    <h2>Runs</h2>
+    <div class="card">
+      <table>
+        <tr>
+          <th>Fetch time</th>
+          <th>Version</th>
+          ${categories.map(category => `<th class="num">${escapeHtml(category.title)}</th>`).join('')}
+          <th></th>
+        </tr>
+        ${runs.map(run => `<tr>
+          <td>${escapeHtml(new Date(run.fetchTime).toLocaleString('en-US'))}</td>
+          <td><span class="version">v${escapeHtml(run.lighthouseVersion)}</span></td>
+          ${categories.map(category => `<td class="num">${formatScore(run.categories.find(item => item.id === category.id)?.score ?? null)}</td>`).join('')}
+          <td><a href="${escapeHtml(run.link)}">Open report</a></td>
+        </tr>`).join('\n        ')}
+      </table>
+    </div>`;
+  
+  return renderPage('Lighthouse trends', content, {
+    styles: `
+    .chart { width: 100%; height: auto; }
+    .chart .grid { stroke: #eceef3; }
+    .chart .axis { font-size: 11px; fill: #5f6368; }
+    .legend { display: flex; flex-wrap: wrap; gap: 1rem; font-size: 0.85rem; margin-top: 0.5rem; }
+    .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 0.35rem; }
+    .notice { background: #fff8e1; }`,
+  });
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTrend, renderTrendPage } from './trend.js';
+import { createLhr } from '../test/helpers.js';
+
+function entry(link, fetchTime, scores) {
+  return { link, lhr: { ...createLhr({ scores }), fetchTime } };
+}
+
+test('orders runs by fetch time and skips runs without one', () => {
+  const trend = buildTrend([
+    entry('/report/b', '2024-02-02T00:00:00.000Z', { performance: 0.8, seo: 0.9 }),
+    entry('/report/a', '2024-02-01T00:00:00.000Z', { performance: 0.6 }),
+    entry('/report/c', 'not a date', { performance: 1 }),
+    entry('/report/d', undefined, { performance: 1 }),
+  ]);
+
+  assert.deepEqual(trend.runs.map(run => run.link), ['/report/a', '/report/b']);
+  assert.deepEqual(trend.categories.map(category => [category.id, category.points.map(point => point.value)]), [
+    ['performance', [0.6, 0.8]],
+    ['seo', [null, 0.9]],
+  ]);
+  assert.deepEqual(trend.metrics.map(metric => metric.id), ['first-contentful-paint']);
+});
+
+test('the trend page charts runs, links them and lists failures', () => {
+  const trend = buildTrend([
+    entry('/report/a?x=<1>', '2024-02-01T00:00:00.000Z', { performance: 0.6 }),
+    entry('/report/b', '2024-02-02T00:00:00.000Z', { performance: 0.8 }),
+  ]);
+  const html = renderTrendPage(trend, [{ source: 'gs://bucket/<bad>.json', error: 'Not found' }]);
+
+  assert.match(html, /2 report\(s\) for https:\/\/example\.com\//);
+  assert.match(html, /<polyline points="[^"]+"/);
+  assert.match(html, /href="\/report\/a\?x=&lt;1&gt;"/);
+  assert.match(html, /1 report\(s\) could not be loaded/);
+  assert.match(html, /gs:\/\/bucket\/&lt;bad&gt;\.json<\/code>: Not found/);
+});
+
+test('the trend page explains when there is nothing to chart', () => {
+  const html = renderTrendPage(buildTrend([entry('/report/a', undefined, { performance: 1 })]));
+
+  assert.match(html, /No reports with a fetch time to chart/);
+  assert.doesNotMatch(html, /<svg/);
+});
@@ -0,0 +1,114 @@
+// Reports stored through POST /render?store=true, one JSON file per upload.
+// Anyone can store reports, so the directory is bounded: uploads are deleted
+// ttlMs after they were stored, and once the stored files would take more than
+// maxTotalBytes the oldest are deleted to make room for new ones.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export function createUploadStore({
+  dir,
+  ttlMs = 30 * 24 * 60 * 60 * 1000,
+  maxTotalBytes = 1024 * 1024 * 1024,
+}) {
+  function uploadPath(id) {
+    return UPLOAD_ID_PATTERN.test(id) ? path.join(dir, `${id}.json`) : null;
+  }
+
+  function isExpired(stats) {
+    return Date.now() - stats.mtimeMs >= ttlMs;
+  }
+
+  // Stored uploads as [{ filePath, size, mtimeMs, expired }], oldest first
+  async function listUploads() {
+    let names;
+    try {
+      names = await fs.promises.readdir(dir);
+    } catch (error) {
+      return [];
+    }
+
+    const uploads = [];
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      try {
+        const filePath = path.join(dir, name);
+        const stats = await fs.promises.stat(filePath);
+        uploads.push({ filePath, size: stats.size, mtimeMs: stats.mtimeMs, expired: isExpired(stats) });
+      } catch (error) {
+        // Deleted meanwhile
+      }
+    }
+    return uploads.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  }
+
+  // Delete expired uploads, then the oldest ones until reserveBytes more fit
+  async function prune(reserveBytes = 0) {
+    const uploads = await listUploads();
+    let totalBytes = uploads.reduce((sum, upload) => sum + upload.size, 0);
+    let deleted = 0;
+
+    for (const upload of uploads) {
+      if (!upload.expired && totalBytes + reserveBytes <= maxTotalBytes) {
+        continue;
+      }
+      await fs.promises.rm(upload.filePath, { force: true });
+      totalBytes -= upload.size;
+      deleted++;
+    }
+
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} stored uploads (expired or over UPLOADS_MAX_TOTAL_BYTES)`);
+    }
+    return deleted;
+  }
+
+  return {
+    dir,
+    ttlMs,
+    maxTotalBytes,
+    prune,
+
+    // Resolves to { id, expiresAt }
+    async save(reportJson) {
+      const data = JSON.stringify(reportJson);
+      const size = Buffer.byteLength(data);
+      if (size > maxTotalBytes) {
+        const error = new Error('Report is larger than the space for stored uploads (UPLOADS_MAX_TOTAL_BYTES)');
+        error.status = 413;
+        throw error;
+      }
+
+      await prune(size);
+      const id = crypto.randomBytes(9).toString('base64url');
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(uploadPath(id), data);
+
+      return { id, expiresAt: new Date(Date.now() + ttlMs) };
+    },
+
+    // The stored report, parsed, or null for unknown and expired uploads
+    async read(id) {
+      const filePath = uploadPath(id);
+      if (!filePath) {
+        return null;
+      }
+
+      try {
+        const stats = await fs.promises.stat(filePath);
+        if (isExpired(stats)) {
+          await fs.promises.rm(filePath, { force: true });
+          return null;
+        }
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createUploadStore } from './uploads.js';
+import { createLhr, createTempDir } from '../test/helpers.js';
+
+function age(dir, id, ms) {
+  const time = new Date(Date.now() - ms);
+  fs.utimesSync(path.join(dir, `${id}.json`), time, time);
+}
+
+test('stored uploads can be read back until they expire', async t => {
+  const dir = createTempDir(t);
+  const uploads = createUploadStore({ dir, ttlMs: 60 * 1000 });
+
+  const { id, expiresAt } = await uploads.save(createLhr());
+  assert.ok(expiresAt > new Date());
+  assert.equal((await uploads.read(id)).lighthouseVersion, '12.2.0');
+
+  age(dir, id, 2 * 60 * 1000);
+  assert.equal(await uploads.read(id), null);
+  assert.equal(fs.existsSync(path.join(dir, `${id}.json`)), false);
+});
+
+test('unknown and malformed upload IDs read as null', async t => {
+  const uploads = createUploadStore({ dir: createTempDir(t) });
+
+  assert.equal(await uploads.read('missing'), null);
+  assert.equal(await uploads.read('../package'), null);
+});
+
+test('saving deletes expired uploads, then the oldest until the new one fits', async t => {
+  const dir = createTempDir(t);
+  const size = Buffer.byteLength(JSON.stringify(createLhr()));
+  const uploads = createUploadStore({ dir, ttlMs: 60 * 1000, maxTotalBytes: size * 3 });
+
+  const expired = await uploads.save(createLhr());
+  const oldest = await uploads.save(createLhr());
+  const newer = await uploads.save(createLhr());
+  age(dir, expired.id, 2 * 60 * 1000);
+  age(dir, oldest.id, 30 * 1000);
+  age(dir, newer.id, 20 * 1000);
+
+  await uploads.save(createLhr());
+  assert.equal(fs.readdirSync(dir).length, 3);
+  assert.equal(fs.existsSync(path.join(dir, `${expired.id}.json`)), false);
+
+  await uploads.save(createLhr());
+  assert.equal(fs.readdirSync(dir).length, 3);
+  assert.equal(await uploads.read(oldest.id), null);
+  assert.notEqual(await uploads.read(newer.id), null);
+});
+
+test('reports larger than the whole upload space are refused', async t => {
+  const uploads = createUploadStore({ dir: createTempDir(t), maxTotalBytes: 100 });
+
+  await assert.rejects(uploads.save(createLhr()), { status: 413 });
+});
@@ -0,0 +1,180 @@
+// Guardrails for the URLs report links point at, so a link can't make the
+// server reach internal services (SSRF):
+//
+// - only allowed schemes, and optionally only allowed hosts and buckets
+// - no private, loopback, link-local or cloud metadata addresses, checked on
+//   the addresses a host actually resolves to, at connect time, so DNS
+//   rebinding can't slip past the check
+// - a limited number of redirects, each checked like the original URL
+// - an overall request timeout
+//
+// Endpoints configured by the operator (S3_ENDPOINTS, GCS_ENDPOINT,
+// AZURE_BLOB_ENDPOINT) are trusted and may live on private networks.
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],     // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],    // Link-local, including 169.254.169.254 metadata
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],       // Multicast
+  ['240.0.0.0', 4, 'ipv4'],       // Reserved and broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],      // NAT64
+  ['fc00::', 7, 'ipv6'],          // Unique local, including fd00:ec2::254 metadata
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) {
+  blockList.addSubnet(address, prefix, type);
+}
+
+// IPv4-mapped IPv6 addresses reach the IPv4 address: ::ffff:10.0.0.1, or
+// ::ffff:a00:1 as URLs write it. A ::ffff:0:0/96 subnet can't block them, since
+// BlockList matches every IPv4 address against it.
+function mappedIpv4(address) {
+  const dotted = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (dotted) {
+    return dotted[1];
+  }
+
+  const hex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+  }
+  return null;
+}
+
+export function isPrivateAddress(address) {
+  const mapped = mappedIpv4(address);
+  if (mapped) {
+    return blockList.check(mapped, 'ipv4');
+  }
+  return blockList.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Errors for blocked URLs carry status 403 and code URL_POLICY_VIOLATION
+export function policyError(message) {
+  console.warn(`🚫 URL policy violation: ${message}`);
+  const error = new Error(`URL not allowed: ${message}`);
+  error.status = 403;
+  error.code = 'URL_POLICY_VIOLATION';
+  return error;
+}
+
+// "example.com" matches only that host, "*.example.com" any subdomain of it
+function matchesHost(hostname, pattern) {
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+export function createUrlPolicy({
+  allowedSchemes = ['https', 'http', 's3', 'gs', 'file'],
+  allowedHosts = [],
+  allowedBuckets = [],
+  allowPrivateNetworks = false,
+  trustedEndpoints = [],
+  maxRedirects = 3,
+  timeoutMs = 10000,
+} = {}) {
+  const schemes = allowedSchemes.map(scheme => scheme.replace(/:$/, '').toLowerCase());
+  const trustedHosts = new Set(trustedEndpoints.map(endpoint => new URL(endpoint).hostname.toLowerCase()));
+
+  function isTrusted(hostname) {
+    return trustedHosts.has(hostname.toLowerCase());
+  }
+
+  // dns.lookup replacement for sockets: refuse to connect to blocked addresses
+  function lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+
+      if (blocked && !allowPrivateNetworks && !isTrusted(hostname)) {
+        callback(policyError(`${hostname} resolves to private address ${blocked.address}`));
+        return;
+      }
+      callback(null, address, family);
+    });
+  }
+
+  return {
+    maxRedirects,
+    timeoutMs,
+
+    // Agents that apply the address check to every connection they open
+    agents: {
+      'http:': new http.Agent({ keepAlive: true, lookup }),
+      'https:': new https.Agent({ keepAlive: true, lookup }),
+    },
+
+    // Checks what can be decided from the URL alone; addresses are checked when connecting
+    checkUrl(urlObj) {
+      const scheme = urlObj.protocol.replace(/:$/, '');
+      if (!schemes.includes(scheme)) {
+        throw policyError(`scheme "${scheme}" is not allowed`);
+      }
+
+      if (scheme !== 'http' && scheme !== 'https') {
+        return;
+      }
+
+      const hostname = urlObj.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+      if (isTrusted(hostname)) {
+        return;
+      }
+
+      if (allowedHosts.length > 0 && !allowedHosts.some(pattern => matchesHost(hostname, pattern.toLowerCase()))) {
+        throw policyError(`host ${hostname} is not in URL_ALLOWED_HOSTS`);
+      }
+
+      // Literal addresses never go through lookup()
+      if (net.isIP(hostname) && isPrivateAddress(hostname) && !allowPrivateNetworks) {
+        throw policyError(`private address ${hostname}`);
+      }
+    },
+
+    checkBucket(bucket) {
+      if (allowedBuckets.length > 0 && !allowedBuckets.includes(bucket)) {
+        throw policyError(`bucket ${bucket} is not in URL_ALLOWED_BUCKETS`);
+      }
+    },
+  };
+}
+
+// Comma-separated environment values, e.g. URL_ALLOWED_HOSTS
+export function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+export function urlPolicyFromEnv(env = process.env, { trustedEndpoints = [] } = {}) {
+  return createUrlPolicy({
+    allowedSchemes: env.URL_ALLOWED_SCHEMES ? splitList(env.URL_ALLOWED_SCHEMES) : undefined,
+    allowedHosts: splitList(env.URL_ALLOWED_HOSTS),
+    allowedBuckets: splitList(env.URL_ALLOWED_BUCKETS),
+    allowPrivateNetworks: env.URL_ALLOW_PRIVATE_NETWORKS === 'true',
+    trustedEndpoints,
+    maxRedirects: parseInt(env.FETCH_MAX_REDIRECTS || '3', 10),
+    timeoutMs: parseInt(env.FETCH_TIMEOUT_MS || '10000', 10),
+  });
+}
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUrlPolicy, isPrivateAddress } from './url-policy.js';
+
+test('isPrivateAddress covers loopback, private, link-local and mapped addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00:ec2::254', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:2800:220:1:248:1893:25c8:1946', '::ffff:93.184.216.34']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('literal private addresses are refused in every notation', () => {
+  const policy = createUrlPolicy();
+
+  for (const url of [
+    'http://127.0.0.1/report.json',
+    'http://0x7f000001/report.json',
+    'http://2130706433/report.json',
+    'http://0177.0.0.1/report.json',
+    'http://127.1/report.json',
+    'http://[::1]/report.json',
+    'http://[::ffff:127.0.0.1]/report.json',
+    'http://[::ffff:169.254.169.254]/latest/meta-data/',
+    'https://169.254.169.254/latest/meta-data/',
+  ]) {
+    assert.throws(() => policy.checkUrl(new URL(url)), { status: 403, code: 'URL_POLICY_VIOLATION' }, url);
+  }
+  policy.checkUrl(new URL('https://93.184.216.34/report.json'));
+});
+
+test('private addresses are allowed for trusted endpoints or when enabled', () => {
+  createUrlPolicy({ trustedEndpoints: ['http://127.0.0.1:9000'] }).checkUrl(new URL('http://127.0.0.1:9000/bucket/report.json'));
+  createUrlPolicy({ allowPrivateNetworks: true }).checkUrl(new URL('http://10.0.0.1/report.json'));
+});
+
+test('schemes, hosts and buckets are checked against the allowlists', () => {
+  const policy = createUrlPolicy({ allowedSchemes: ['https'], allowedHosts: ['*.example.com', 'reports.test'], allowedBuckets: ['reports'] });
+
+  policy.checkUrl(new URL('https://cdn.example.com/report.json'));
+  policy.checkUrl(new URL('https://reports.test/report.json'));
+  assert.throws(() => policy.checkUrl(new URL('http://cdn.example.com/report.json')), /scheme "http" is not allowed/);
+  assert.throws(() => policy.checkUrl(new URL('https://example.org/report.json')), /not in URL_ALLOWED_HOSTS/);
+  assert.throws(() => policy.checkUrl(new URL('https://evilexample.com/report.json')), /not in URL_ALLOWED_HOSTS/);
+  policy.checkBucket('reports');
+  assert.throws(() => policy.checkBucket('other'), /not in URL_ALLOWED_BUCKETS/);
+});
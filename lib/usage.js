@@ -0,0 +1,72 @@
+// When each Lighthouse package last rendered a report, so the admin page can
+// show unused versions and prune them. Kept in a small JSON file next to the
+// packages; writes are batched so rendering never waits for the disk.
+
+import fs from 'fs';
+
+// Delay before pending updates are written
+const WRITE_DELAY_MS = 10 * 1000;
+
+// Everything in a process using the same file should share its log
+const sharedLogs = new Map();
+
+export function getUsageLog(file) {
+  if (!sharedLogs.has(file)) {
+    sharedLogs.set(file, createUsageLog(file));
+  }
+  return sharedLogs.get(file);
+}
+
+export function createUsageLog(file) {
+  let lastUsed = {};
+  let timer = null;
+
+  try {
+    lastUsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    // Nothing recorded yet
+  }
+
+  function write() {
+    timer = null;
+    try {
+      fs.writeFileSync(file, JSON.stringify(lastUsed, null, 2));
+    } catch (error) {
+      console.error(`Failed to write usage log ${file}:`, error.message);
+    }
+  }
+
+  function scheduleWrite() {
+    if (!timer) {
+      timer = setTimeout(write, WRITE_DELAY_MS);
+      // Don't keep CLIs alive just to record usage
+      timer.unref();
+    }
+  }
+
+  return {
+    // Record that a package rendered a report just now
+    touch(packageName) {
+      lastUsed[packageName] = new Date().toISOString();
+      scheduleWrite();
+    },
+
+    // Date the package was last used, or null if it never was
+    get(packageName) {
+      return lastUsed[packageName] ? new Date(lastUsed[packageName]) : null;
+    },
+
+    forget(packageName) {
+      delete lastUsed[packageName];
+      scheduleWrite();
+    },
+
+    // Write pending updates right away
+    flush() {
+      if (timer) {
+        clearTimeout(timer);
+        write();
+      }
+    },
+  };
+}
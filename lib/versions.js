@@ -0,0 +1,103 @@
+// Pick an installed Lighthouse package to render a report with when its exact
+// version isn't available, according to a resolution policy:
+//
+//   exact  - only the report's own version
+//   patch  - closest installed version with the same major.minor
+//   minor  - closest installed version with the same major
+//   any    - closest installed version, even across majors
+//
+// Candidates are every `lighthouse-v*` alias (exact and major aliases alike)
+// plus the default `lighthouse` package, identified by their real version.
+
+import fs from 'fs';
+import path from 'path';
+
+export const VERSION_POLICIES = ['exact', 'patch', 'minor', 'any'];
+
+// lighthouse-v* aliases are named after exact versions (12.2.0, 12.0.0-beta.1)
+// or bare majors (12). Also the admin page's pattern attribute, which browsers
+// compile with the v flag, so - is escaped in the character class.
+export const ALIAS_PATTERN = /^\d+(\.\d+\.\d+(-[0-9A-Za-z.\-]+)?)?$/;
+
+export function isValidVersion(version) {
+  return /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/.test(version);
+}
+
+export function isValidAlias(version) {
+  return ALIAS_PATTERN.test(version);
+}
+
+export function parseVersion(version) {
+  const match = String(version).match(/^(\d+)\.(\d+)\.(\d+)/);
+  return match ? match.slice(1, 4).map(Number) : null;
+}
+
+function readPackageVersion(packageDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8')).version;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns [{ packageName, version }] for every installed Lighthouse package
+export function listInstalledVersions(nodeModulesDir) {
+  if (!fs.existsSync(nodeModulesDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(nodeModulesDir)
+    .filter(dir => dir === 'lighthouse' || dir.startsWith('lighthouse-v'))
+    .map(packageName => ({ packageName, version: readPackageVersion(path.join(nodeModulesDir, packageName)) }))
+    .filter(({ version }) => parseVersion(version));
+}
+
+// Returns the best { packageName, version } for the policy, or null if none qualifies
+export function resolveVersion(requestedVersion, installed, policy = 'minor') {
+  if (!VERSION_POLICIES.includes(policy)) {
+    throw new Error(`Unknown version policy "${policy}" (expected one of ${VERSION_POLICIES.join(', ')})`);
+  }
+
+  const requested = parseVersion(requestedVersion);
+  if (!requested) {
+    return null;
+  }
+
+  // Prefer the exact alias over another package that happens to have the same version
+  const exact = installed.filter(candidate => candidate.version === requestedVersion);
+  if (exact.length > 0) {
+    return exact.find(candidate => candidate.packageName === `lighthouse-v${requestedVersion}`) || exact[0];
+  }
+
+  if (policy === 'exact') {
+    return null;
+  }
+
+  // How many leading components (major, minor) must match
+  const fixedComponents = { patch: 2, minor: 1, any: 0 }[policy];
+
+  const candidates = installed
+    .map(candidate => ({ ...candidate, parsed: parseVersion(candidate.version) }))
+    .filter(({ parsed }) => parsed.slice(0, fixedComponents).every((part, index) => part === requested[index]));
+
+  // Closest by major, then minor, then patch; newer wins ties
+  candidates.sort((a, b) => {
+    for (let index = 0; index < 3; index++) {
+      const distance = Math.abs(a.parsed[index] - requested[index]) - Math.abs(b.parsed[index] - requested[index]);
+      if (distance !== 0) {
+        return distance;
+      }
+      if (a.parsed[index] !== b.parsed[index]) {
+        return b.parsed[index] - a.parsed[index];
+      }
+    }
+    return 0;
+  });
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const { packageName, version } = candidates[0];
+  return { packageName, version };
+}
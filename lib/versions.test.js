@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseVersion, isValidVersion, isValidAlias, listInstalledVersions, resolveVersion } from './versions.js';
+import { createFakePackage, createLhr, createTempDir, startServer } from '../test/helpers.js';
+
+const INSTALLED = [
+  { packageName: 'lighthouse', version: '12.8.0' },
+  { packageName: 'lighthouse-v12.2.0', version: '12.2.0' },
+  { packageName: 'lighthouse-v12.2.1', version: '12.2.1' },
+  { packageName: 'lighthouse-v11', version: '11.7.1' },
+  { packageName: 'lighthouse-v10.4.0', version: '10.4.0' },
+];
+
+function resolved(version, policy) {
+  return resolveVersion(version, INSTALLED, policy)?.packageName ?? null;
+}
+
+test('versions and aliases', () => {
+  assert.deepEqual(parseVersion('12.2.0-beta.1'), [12, 2, 0]);
+  assert.equal(parseVersion('12'), null);
+
+  assert.equal(isValidVersion('12.2.0'), true);
+  assert.equal(isValidVersion('12.0.0-beta.1'), true);
+  assert.equal(isValidVersion('12'), false);
+  assert.equal(isValidVersion('../12.2.0'), false);
+  assert.equal(isValidAlias('12'), true);
+  assert.equal(isValidAlias('12.2'), false);
+  assert.equal(isValidAlias('12.2.0'), true);
+});
+
+test('lists installed Lighthouse packages by their real version', t => {
+  const nodeModulesDir = createTempDir(t);
+  createFakePackage(nodeModulesDir, 'lighthouse-v12', '12.2.1');
+  createFakePackage(nodeModulesDir, 'lighthouse', '12.8.0');
+  createFakePackage(nodeModulesDir, 'lighthouse-v11.0.0', 'not-a-version');
+  fs.mkdirSync(`${nodeModulesDir}/express`);
+
+  assert.deepEqual(listInstalledVersions(nodeModulesDir).sort((a, b) => a.packageName.localeCompare(b.packageName)), [
+    { packageName: 'lighthouse', version: '12.8.0' },
+    { packageName: 'lighthouse-v12', version: '12.2.1' },
+  ]);
+  assert.deepEqual(listInstalledVersions(`${nodeModulesDir}/missing`), []);
+});
+
+test('each policy picks the closest version it allows', () => {
+  assert.equal(resolved('12.2.1', 'exact'), 'lighthouse-v12.2.1');
+  assert.equal(resolved('12.2.5', 'exact'), null);
+
+  assert.equal(resolved('12.2.5', 'patch'), 'lighthouse-v12.2.1');
+  assert.equal(resolved('12.5.0', 'patch'), null);
+
+  assert.equal(resolved('12.5.0', 'minor'), 'lighthouse');
+  assert.equal(resolved('12.2.5', 'minor'), 'lighthouse-v12.2.1');
+  assert.equal(resolved('11.0.0', 'minor'), 'lighthouse-v11');
+  assert.equal(resolved('9.6.8', 'minor'), null);
+
+  assert.equal(resolved('9.6.8', 'any'), 'lighthouse-v10.4.0');
+  // Closest by major, then minor: 12.2 is nearer to 13.0 than 12.8 is
+  assert.equal(resolved('13.0.0', 'any'), 'lighthouse-v12.2.0');
+});
+
+test('prefers the exact alias and newer versions on ties', () => {
+  const installed = [{ packageName: 'lighthouse', version: '12.2.0' }, ...INSTALLED.slice(1)];
+
+  assert.equal(resolveVersion('12.2.0', installed).packageName, 'lighthouse-v12.2.0');
+  assert.equal(resolveVersion('11.7.1', [{ packageName: 'a', version: '11.7.0' }, { packageName: 'b', version: '11.7.2' }]).packageName, 'b');
+  assert.throws(() => resolveVersion('12.2.0', INSTALLED, 'closest'), /Unknown version policy "closest"/);
+});
+
+test('the server renders reports of missing versions by its policy', async t => {
+  const report = JSON.stringify(createLhr({ version: '12.2.5' }));
+  const render = baseUrl => fetch(`${baseUrl}/render?format=json`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: report });
+
+  const patch = await startServer(t, { versionPolicy: 'patch' });
+  assert.equal((await render(patch.baseUrl)).status, 200);
+
+  const exact = await startServer(t, { versionPolicy: 'exact' });
+  const refused = await render(exact.baseUrl);
+  assert.equal(refused.status, 500);
+  assert.match(await refused.text(), /no installed version satisfies the "exact" policy/);
+
+  await assert.rejects(startServer(t, { versionPolicy: 'closest' }), /Invalid version policy "closest"/);
+});
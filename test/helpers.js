@@ -0,0 +1,149 @@
+// Helpers shared by the tests (lib/**/*.test.js, run with `npm test`): minimal
+// reports that pass assertLighthouseReport, and a server on a random port
+// rendering with the Lighthouse packages installed in this checkout. Kept out of
+// lib/ and the published files, so the library never ships it.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_ROOT_DIR } from '../lib/renderer.js';
+import { createKeyring, encryptLink } from '../lib/links.js';
+import { createServer } from '../lib/server.js';
+import { createSourceRegistry } from '../lib/sources/index.js';
+import { createUrlPolicy } from '../lib/url-policy.js';
+
+// Smallest Lighthouse 12 result the report generators accept
+export function createLhr({ version = '12.2.0', url = 'https://example.com/', scores = { performance: 0.95 }, audits = {} } = {}) {
+  const allAudits = {
+    'first-contentful-paint': { id: 'first-contentful-paint', title: 'First Contentful Paint', score: 1, scoreDisplayMode: 'numeric', numericValue: 1200 },
+    ...audits,
+  };
+
+  return {
+    lighthouseVersion: version,
+    requestedUrl: url,
+    finalDisplayedUrl: url,
+    fetchTime: '2024-01-31T12:00:00.000Z',
+    configSettings: {},
+    runWarnings: [],
+    i18n: { rendererFormattedStrings: {} },
+    audits: allAudits,
+    categories: Object.fromEntries(Object.entries(scores).map(([id, score]) => [id, {
+      id,
+      title: id,
+      score,
+      auditRefs: Object.keys(allAudits).map(auditId => ({ id: auditId, weight: 1 })),
+    }])),
+  };
+}
+
+export function createFlow({ version = '12.2.0' } = {}) {
+  return { name: 'Checkout', steps: [{ name: 'Cart', lhr: createLhr({ version }) }] };
+}
+
+// Sources serving reports from memory at test://<name> URLs. `fetches` counts the
+// fetches per URL and `maxActive` the most that ran at once; each takes delayMs.
+export function createMemorySources(reports, { delayMs = 0 } = {}) {
+  let active = 0;
+  const provider = {
+    name: 'memory',
+    fetches: new Map(),
+    maxActive: 0,
+
+    matches(urlObj) {
+      return urlObj.protocol === 'test:';
+    },
+
+    async fetch(url) {
+      provider.fetches.set(url, (provider.fetches.get(url) || 0) + 1);
+      provider.maxActive = Math.max(provider.maxActive, ++active);
+      try {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        const report = reports[new URL(url).hostname];
+        if (!report) {
+          throw Object.assign(new Error(`HTTP 404: ${url}`), { status: 404 });
+        }
+        return { body: Buffer.from(JSON.stringify(report)) };
+      } finally {
+        active--;
+      }
+    },
+  };
+
+  return Object.assign(createSourceRegistry([provider], { policy: createUrlPolicy({ allowedSchemes: ['test'] }) }), { provider });
+}
+
+// Report generator of the fake packages: does what the report's requestedUrl says,
+// and otherwise answers with the format and URL
+const FAKE_GENERATOR = `
+export const ReportGenerator = {
+  generateReport(lhr, format) {
+    switch (lhr.requestedUrl) {
+      case 'hang': for (;;) {}
+      case 'crash': process.exit(3);
+      case 'leak': { const chunks = []; for (;;) chunks.push(new Array(1e6).fill(chunks.length)); }
+      case 'fail': throw Object.assign(new Error('Cannot render'), { status: 422, code: 'BAD_REPORT' });
+      case 'assets': return '<link rel="stylesheet" href="styles.css"><script src="./bundle.js"></script><img src="logo.png">';
+      default: return \`\${format}:\${lhr.requestedUrl}\`;
+    }
+  },
+  generateReportHtml(lhr) {
+    return this.generateReport(lhr, 'html');
+  },
+};
+`;
+
+// Installs a stand-in Lighthouse package of `version` into nodeModulesDir, rendering
+// with FAKE_GENERATOR. Returns the path of its package.json.
+export function createFakePackage(nodeModulesDir, packageName, version) {
+  const generatorDir = path.join(nodeModulesDir, packageName, 'report', 'generator');
+  fs.mkdirSync(generatorDir, { recursive: true });
+  fs.writeFileSync(path.join(generatorDir, 'report-generator.js'), FAKE_GENERATOR);
+  fs.writeFileSync(path.join(nodeModulesDir, packageName, 'package.json'), JSON.stringify({ name: 'lighthouse', version }));
+  return path.join(nodeModulesDir, packageName, 'package.json');
+}
+
+export function createTempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lighthouse-report-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Starts createServer(options) on a random port and stops it when the test ends.
+// Its rootDir links to the installed lighthouse-v* packages, so usage logs and
+// uploads stay in a temporary directory. Resolves to { app, baseUrl, rootDir }.
+export async function startServer(t, options = {}) {
+  const rootDir = createTempDir(t);
+  const nodeModulesDir = path.join(rootDir, 'node_modules');
+  fs.mkdirSync(nodeModulesDir);
+  for (const name of fs.readdirSync(path.join(DEFAULT_ROOT_DIR, 'node_modules'))) {
+    if (name === 'lighthouse' || name.startsWith('lighthouse-v')) {
+      fs.symlinkSync(path.join(DEFAULT_ROOT_DIR, 'node_modules', name), path.join(nodeModulesDir, name));
+    }
+  }
+
+  const app = createServer({
+    rootDir,
+    autoInstall: false,
+    workers: false,
+    localReport: path.join(rootDir, 'report.json'),
+    ...options,
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+
+  return { app, baseUrl: `http://127.0.0.1:${server.address().port}`, rootDir };
+}
+
+// startServer with `reports` served from memory (see createMemorySources) and a link
+// secret. Resolves to startServer's result plus link(name), a link to reports[name].
+export async function startServerWithReports(t, reports, options = {}) {
+  const keyring = createKeyring({ secrets: [{ id: 'test', secret: 'test-secret' }] });
+  const server = await startServer(t, { keyring, sources: createMemorySources(reports), ...options });
+  return { ...server, link: name => encryptLink(`test://${name}/report.json`, keyring) };
+}